@@ -0,0 +1,227 @@
+// Exports the development applications in the database as CSV, JSON, GeoJSON or as a feed in the
+// PlanningAlerts (ATDIS) application format.  For example,
+//
+//     node export.js --format geojson --output applications.geojson --from 2018-07-01 --to 2018-12-31 --suburb GOOLWA --prefix 455/
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const sqlite3 = require("sqlite3");
+const moment = require("moment");
+const path = require("path");
+const fs = require("fs");
+sqlite3.verbose();
+const AuthorityName = "Alexandrina Council";
+const AuthorityUrl = "https://www.alexandrina.sa.gov.au";
+// The formats that applications can be exported in.
+var ExportFormat;
+(function (ExportFormat) {
+    ExportFormat["Csv"] = "csv";
+    ExportFormat["Json"] = "json";
+    ExportFormat["GeoJson"] = "geojson";
+    ExportFormat["Feed"] = "feed";
+})(ExportFormat || (ExportFormat = {}));
+// Parses the command line arguments.
+function parseArguments(args) {
+    let options = { format: ExportFormat.Csv, databasePath: "data.sqlite", outputPath: undefined, fromDate: undefined, toDate: undefined, suburb: undefined, referencePrefix: undefined };
+    for (let index = 0; index < args.length; index++) {
+        let value = (index + 1 < args.length) ? args[index + 1] : undefined;
+        if (value === undefined)
+            throw new Error(`Missing value for command line option: ${args[index]}`);
+        if (args[index] === "--format")
+            options.format = value.toLowerCase();
+        else if (args[index] === "--database")
+            options.databasePath = value;
+        else if (args[index] === "--output")
+            options.outputPath = value;
+        else if (args[index] === "--from")
+            options.fromDate = value;
+        else if (args[index] === "--to")
+            options.toDate = value;
+        else if (args[index] === "--suburb")
+            options.suburb = value.toUpperCase().trim();
+        else if (args[index] === "--prefix")
+            options.referencePrefix = value;
+        else
+            throw new Error(`Unrecognised command line option: ${args[index]}`);
+        index++;
+    }
+    if (![ExportFormat.Csv, ExportFormat.Json, ExportFormat.GeoJson, ExportFormat.Feed].includes(options.format))
+        throw new Error(`Unrecognised export format: ${options.format} (expected csv, json, geojson or feed)`);
+    for (let date of [options.fromDate, options.toDate])
+        if (date !== undefined && !moment(date, "YYYY-MM-DD", true).isValid())
+            throw new Error(`Invalid date (expected YYYY-MM-DD): ${date}`);
+    if (options.outputPath === undefined)
+        options.outputPath = `applications.${(options.format === ExportFormat.Feed) ? "feed.json" : options.format}`;
+    return options;
+}
+// Reads the approximate centre of each suburb (keyed by the suburb names in suburbnames.txt).
+function readSuburbCentroids() {
+    let suburbNames = {};
+    for (let suburb of fs.readFileSync(path.join(__dirname, "suburbnames.txt")).toString().replace(/\r/g, "").trim().split("\n"))
+        suburbNames[suburb.split(",")[0]] = suburb.split(",")[1];
+    let suburbCentroids = {};
+    for (let line of fs.readFileSync(path.join(__dirname, "suburbcentroids.txt")).toString().replace(/\r/g, "").trim().split("\n")) {
+        let [suburb, latitude, longitude] = line.split(",");
+        if (suburbNames[suburb] !== undefined)
+            suburbCentroids[suburb] = { suburbName: suburbNames[suburb], latitude: Number(latitude), longitude: Number(longitude) };
+    }
+    return suburbCentroids;
+}
+// Gets the suburb text at the end of an address (for example, "GOOLWA SA 5214" from "12 Cadell
+// Street, GOOLWA SA 5214").
+function getAddressSuburb(address) {
+    let index = (address || "").lastIndexOf(",");
+    return (index < 0) ? "" : address.substring(index + 1).trim().toUpperCase();
+}
+// Finds the centre of the suburb of the specified address (returning undefined if the suburb of the
+// address is not known).
+function findSuburbCentroid(suburbCentroids, address) {
+    let addressSuburb = getAddressSuburb(address);
+    for (let suburb in suburbCentroids)
+        if (suburbCentroids[suburb].suburbName === addressSuburb || suburb === addressSuburb)
+            return suburbCentroids[suburb];
+    return undefined;
+}
+// Runs the specified query against the database, returning all resulting rows.
+function readRows(database, sql, parameters) {
+    return new Promise((resolve, reject) => {
+        database.all(sql, parameters, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                resolve(rows);
+            }
+        });
+    });
+}
+// Reads the development applications from the database that match the received date range, suburb
+// and reference prefix filters (along with the names of the columns of the data table, so that the
+// columns are known even when no applications match).
+async function readApplications(options) {
+    if (!fs.existsSync(options.databasePath))
+        throw new Error(`The database does not exist: ${options.databasePath}`);
+    let conditions = [];
+    let parameters = [];
+    if (options.fromDate !== undefined) {
+        conditions.push("[date_received] >= ?");
+        parameters.push(options.fromDate);
+    }
+    if (options.toDate !== undefined) {
+        conditions.push("[date_received] <> '' and [date_received] <= ?");
+        parameters.push(options.toDate);
+    }
+    if (options.referencePrefix !== undefined) {
+        conditions.push("substr([council_reference], 1, ?) = ?");
+        parameters.push(options.referencePrefix.length, options.referencePrefix);
+    }
+    let sql = "select * from [data]" + ((conditions.length === 0) ? "" : " where " + conditions.join(" and ")) + " order by [date_received], [council_reference]";
+    let database = new sqlite3.Database(options.databasePath, sqlite3.OPEN_READONLY);
+    let columnNames;
+    let rows;
+    try {
+        columnNames = (await readRows(database, "pragma table_info('data')", [])).map(column => column.name);
+        rows = await readRows(database, sql, parameters);
+    }
+    finally {
+        database.close();
+    }
+    // Filter by suburb (ignoring any state and post code in either the filter or the address).
+    if (options.suburb !== undefined) {
+        let suburb = options.suburb.replace(/\s+SA(\s+\d{4})?$/, "");
+        rows = rows.filter(row => getAddressSuburb(row.address).replace(/\s+SA(\s+\d{4})?$/, "") === suburb);
+    }
+    return { columnNames: columnNames, rows: rows };
+}
+// Quotes a value for a CSV file (when it contains a comma, quote or line break).
+function formatCsvValue(value) {
+    let text = (value === null || value === undefined) ? "" : value.toString();
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+// Formats the applications as CSV (with a header row containing the column names, which is written
+// even when there are no applications).
+function formatCsv(columnNames, rows) {
+    let lines = [columnNames.map(formatCsvValue).join(",")];
+    for (let row of rows)
+        lines.push(columnNames.map(columnName => formatCsvValue(row[columnName])).join(","));
+    return lines.join("\r\n") + "\r\n";
+}
+// Formats the applications as a GeoJSON feature collection (each application is located at the
+// approximate centre of its suburb, or has no geometry if the suburb is not known).
+function formatGeoJson(rows, suburbCentroids) {
+    return {
+        type: "FeatureCollection",
+        features: rows.map(row => {
+            let suburbCentroid = findSuburbCentroid(suburbCentroids, row.address);
+            return {
+                type: "Feature",
+                geometry: (suburbCentroid === undefined) ? null : { type: "Point", coordinates: [suburbCentroid.longitude, suburbCentroid.latitude] },
+                properties: row
+            };
+        })
+    };
+}
+// Formats the applications as a feed in the PlanningAlerts (ATDIS) application format.
+function formatFeed(rows, suburbCentroids) {
+    return {
+        response: rows.map(row => {
+            let suburbCentroid = findSuburbCentroid(suburbCentroids, row.address);
+            let addressSuburb = getAddressSuburb(row.address);
+            let match = /^(.*?)(?:\s+(SA))?(?:\s+(\d{4}))?$/.exec(addressSuburb);
+            let location = {
+                address: {
+                    street: (row.address || "").substring(0, Math.max(0, (row.address || "").lastIndexOf(","))).trim(),
+                    suburb: match[1],
+                    postcode: match[3] || null,
+                    state: match[2] || "SA"
+                },
+                land_title_ref: (row.lot || row.plan) ? { torrens: { lot: row.lot || null, section: null, dpsp_id: row.plan || null, title: null } } : null,
+                geometry: (suburbCentroid === undefined) ? null : { type: "Point", coordinates: [suburbCentroid.longitude, suburbCentroid.latitude] }
+            };
+            return {
+                application: {
+                    info: {
+                        dat_id: row.council_reference,
+                        development_type: row.category || null,
+                        last_modified_date: row.date_scraped || null,
+                        description: row.description,
+                        authority: { ref: AuthorityUrl, name: AuthorityName },
+                        lodgement_date: row.date_received || null,
+                        determination_date: row.date_decision || null,
+                        determination_type: row.decision || null,
+                        status: null
+                    },
+                    reference: {
+                        more_info_url: row.info_url,
+                        comments_url: row.comment_url || null
+                    },
+                    locations: [location],
+                    people: row.applicant ? [{ name: row.applicant, role: "Applicant" }] : [],
+                    estimated_cost: (row.estimated_cost === null || row.estimated_cost === undefined) ? null : row.estimated_cost.toString()
+                }
+            };
+        }),
+        count: rows.length,
+        pagination: { previous: null, next: null, current: 1, per_page: rows.length, count: rows.length, pages: 1 }
+    };
+}
+// Exports the development applications.
+async function main() {
+    let options = parseArguments(process.argv.slice(2));
+    let suburbCentroids = readSuburbCentroids();
+    let { columnNames, rows } = await readApplications(options);
+    console.log(`Read ${rows.length} development application(s) from: ${options.databasePath}`);
+    let output;
+    if (options.format === ExportFormat.Csv)
+        output = formatCsv(columnNames, rows);
+    else if (options.format === ExportFormat.Json)
+        output = JSON.stringify(rows, null, 4) + "\n";
+    else if (options.format === ExportFormat.GeoJson)
+        output = JSON.stringify(formatGeoJson(rows, suburbCentroids), null, 4) + "\n";
+    else
+        output = JSON.stringify(formatFeed(rows, suburbCentroids), null, 4) + "\n";
+    fs.writeFileSync(options.outputPath, output);
+    console.log(`Wrote ${rows.length} development application(s) to: ${options.outputPath}`);
+}
+main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXhwb3J0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZXhwb3J0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGlHQUFpRztBQUNqRywyREFBMkQ7QUFDM0QsRUFBRTtBQUNGLG9JQUFvSTtBQUVwSSxZQUFZLENBQUM7O0FBRWIsbUNBQW1DO0FBQ25DLGlDQUFpQztBQUNqQyw2QkFBNkI7QUFDN0IseUJBQXlCO0FBRXpCLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztBQUVsQixNQUFNLGFBQWEsR0FBRyxxQkFBcUIsQ0FBQztBQUM1QyxNQUFNLFlBQVksR0FBRyxtQ0FBbUMsQ0FBQztBQUV6RCxvREFBb0Q7QUFFcEQsSUFBSyxZQUtKO0FBTEQsV0FBSyxZQUFZO0lBQ2IsMkJBQVcsQ0FBQTtJQUNYLDZCQUFhLENBQUE7SUFDYixtQ0FBbUIsQ0FBQTtJQUNuQiw2QkFBYSxDQUFBO0FBQ2pCLENBQUMsRUFMSSxZQUFZLEtBQVosWUFBWSxRQUtoQjtBQXVCRCxxQ0FBcUM7QUFFckMsU0FBUyxjQUFjLENBQUMsSUFBYztJQUNsQyxJQUFJLE9BQU8sR0FBa0IsRUFBRSxNQUFNLEVBQUUsWUFBWSxDQUFDLEdBQUcsRUFBRSxZQUFZLEVBQUUsYUFBYSxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsZUFBZSxFQUFFLFNBQVMsRUFBRSxDQUFDO0lBQ3JNLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzlDLElBQUksS0FBSyxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztRQUNwRSxJQUFJLEtBQUssS0FBSyxTQUFTO1lBQ25CLE1BQU0sSUFBSSxLQUFLLENBQUMsMENBQTBDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDN0UsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssVUFBVTtZQUMxQixPQUFPLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQyxXQUFXLEVBQWtCLENBQUM7YUFDcEQsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssWUFBWTtZQUNqQyxPQUFPLENBQUMsWUFBWSxHQUFHLEtBQUssQ0FBQzthQUM1QixJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxVQUFVO1lBQy9CLE9BQU8sQ0FBQyxVQUFVLEdBQUcsS0FBSyxDQUFDO2FBQzFCLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLFFBQVE7WUFDN0IsT0FBTyxDQUFDLFFBQVEsR0FBRyxLQUFLLENBQUM7YUFDeEIsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssTUFBTTtZQUMzQixPQUFPLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQzthQUN0QixJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxVQUFVO1lBQy9CLE9BQU8sQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDLFdBQVcsRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDO2FBQzNDLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLFVBQVU7WUFDL0IsT0FBTyxDQUFDLGVBQWUsR0FBRyxLQUFLLENBQUM7O1lBRWhDLE1BQU0sSUFBSSxLQUFLLENBQUMscUNBQXFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDeEUsS0FBSyxFQUFFLENBQUM7S0FDWDtJQUVELElBQUksQ0FBQyxDQUFFLFlBQVksQ0FBQyxHQUFHLEVBQUUsWUFBWSxDQUFDLElBQUksRUFBRSxZQUFZLENBQUMsT0FBTyxFQUFFLFlBQVksQ0FBQyxJQUFJLENBQUUsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQztRQUMxRyxNQUFNLElBQUksS0FBSyxDQUFDLCtCQUErQixPQUFPLENBQUMsTUFBTSx3Q0FBd0MsQ0FBQyxDQUFDO0lBQzNHLEtBQUssSUFBSSxJQUFJLElBQUksQ0FBRSxPQUFPLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxNQUFNLENBQUU7UUFDakQsSUFBSSxJQUFJLEtBQUssU0FBUyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxZQUFZLEVBQUUsSUFBSSxDQUFDLENBQUMsT0FBTyxFQUFFO1lBQ2pFLE1BQU0sSUFBSSxLQUFLLENBQUMsdUNBQXVDLElBQUksRUFBRSxDQUFDLENBQUM7SUFDdkUsSUFBSSxPQUFPLENBQUMsVUFBVSxLQUFLLFNBQVM7UUFDaEMsT0FBTyxDQUFDLFVBQVUsR0FBRyxnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsTUFBTSxLQUFLLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLENBQUM7SUFDakgsT0FBTyxPQUFPLENBQUM7QUFDbkIsQ0FBQztBQUVELDhGQUE4RjtBQUU5RixTQUFTLG1CQUFtQjtJQUN4QixJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7SUFDckIsS0FBSyxJQUFJLE1BQU0sSUFBSSxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUM7UUFDeEgsV0FBVyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBRTdELElBQUksZUFBZSxHQUF5QyxFQUFFLENBQUM7SUFDL0QsS0FBSyxJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLHFCQUFxQixDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUM1SCxJQUFJLENBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxTQUFTLENBQUUsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3RELElBQUksV0FBVyxDQUFDLE1BQU0sQ0FBQyxLQUFLLFNBQVM7WUFDakMsZUFBZSxDQUFDLE1BQU0sQ0FBQyxHQUFHLEVBQUUsVUFBVSxFQUFFLFdBQVcsQ0FBQyxNQUFNLENBQUMsRUFBRSxRQUFRLEVBQUUsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFFLFNBQVMsRUFBRSxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQztLQUMvSDtJQUNELE9BQU8sZUFBZSxDQUFDO0FBQzNCLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsNEJBQTRCO0FBRTVCLFNBQVMsZ0JBQWdCLENBQUMsT0FBZTtJQUNyQyxJQUFJLEtBQUssR0FBRyxDQUFDLE9BQU8sSUFBSSxFQUFFLENBQUMsQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDN0MsT0FBTyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQztBQUNoRixDQUFDO0FBRUQsb0dBQW9HO0FBQ3BHLHlCQUF5QjtBQUV6QixTQUFTLGtCQUFrQixDQUFDLGVBQXFELEVBQUUsT0FBZTtJQUM5RixJQUFJLGFBQWEsR0FBRyxnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUM5QyxLQUFLLElBQUksTUFBTSxJQUFJLGVBQWU7UUFDOUIsSUFBSSxlQUFlLENBQUMsTUFBTSxDQUFDLENBQUMsVUFBVSxLQUFLLGFBQWEsSUFBSSxNQUFNLEtBQUssYUFBYTtZQUNoRixPQUFPLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN2QyxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQsK0VBQStFO0FBRS9FLFNBQVMsUUFBUSxDQUFDLFFBQVEsRUFBRSxHQUFXLEVBQUUsVUFBaUI7SUFDdEQsT0FBTyxJQUFJLE9BQU8sQ0FBUSxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUMxQyxRQUFRLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxVQUFVLEVBQUUsQ0FBQyxLQUFLLEVBQUUsSUFBSSxFQUFFLEVBQUU7WUFDMUMsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCO2lCQUFNO2dCQUNILE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUNqQjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLG1HQUFtRztBQUNuRyxzREFBc0Q7QUFFdEQsS0FBSyxVQUFVLGdCQUFnQixDQUFDLE9BQXNCO0lBQ2xELElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUM7UUFDcEMsTUFBTSxJQUFJLEtBQUssQ0FBQyxnQ0FBZ0MsT0FBTyxDQUFDLFlBQVksRUFBRSxDQUFDLENBQUM7SUFFNUUsSUFBSSxVQUFVLEdBQWEsRUFBRSxDQUFDO0lBQzlCLElBQUksVUFBVSxHQUFVLEVBQUUsQ0FBQztJQUMzQixJQUFJLE9BQU8sQ0FBQyxRQUFRLEtBQUssU0FBUyxFQUFFO1FBQ2hDLFVBQVUsQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsQ0FBQztRQUN4QyxVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztLQUNyQztJQUNELElBQUksT0FBTyxDQUFDLE1BQU0sS0FBSyxTQUFTLEVBQUU7UUFDOUIsVUFBVSxDQUFDLElBQUksQ0FBQyxnREFBZ0QsQ0FBQyxDQUFDO1FBQ2xFLFVBQVUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ25DO0lBQ0QsSUFBSSxPQUFPLENBQUMsZUFBZSxLQUFLLFNBQVMsRUFBRTtRQUN2QyxVQUFVLENBQUMsSUFBSSxDQUFDLHVDQUF1QyxDQUFDLENBQUM7UUFDekQsVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsZUFBZSxDQUFDLENBQUM7S0FDNUU7SUFDRCxJQUFJLEdBQUcsR0FBRyxzQkFBc0IsR0FBRyxDQUFDLENBQUMsVUFBVSxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxTQUFTLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLGdEQUFnRCxDQUFDO0lBRTlKLElBQUksUUFBUSxHQUFHLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLE9BQU8sQ0FBQyxhQUFhLENBQUMsQ0FBQztJQUNqRixJQUFJLFdBQXFCLENBQUM7SUFDMUIsSUFBSSxJQUFXLENBQUM7SUFDaEIsSUFBSTtRQUNBLFdBQVcsR0FBRyxDQUFDLE1BQU0sUUFBUSxDQUFDLFFBQVEsRUFBRSwyQkFBMkIsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNyRyxJQUFJLEdBQUcsTUFBTSxRQUFRLENBQUMsUUFBUSxFQUFFLEdBQUcsRUFBRSxVQUFVLENBQUMsQ0FBQztLQUNwRDtZQUFTO1FBQ04sUUFBUSxDQUFDLEtBQUssRUFBRSxDQUFDO0tBQ3BCO0lBRUQsMkZBQTJGO0lBRTNGLElBQUksT0FBTyxDQUFDLE1BQU0sS0FBSyxTQUFTLEVBQUU7UUFDOUIsSUFBSSxNQUFNLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsbUJBQW1CLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDN0QsSUFBSSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLG1CQUFtQixFQUFFLEVBQUUsQ0FBQyxLQUFLLE1BQU0sQ0FBQyxDQUFDO0tBQ3hHO0lBQ0QsT0FBTyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxDQUFDO0FBQ3BELENBQUM7QUFFRCxpRkFBaUY7QUFFakYsU0FBUyxjQUFjLENBQUMsS0FBSztJQUN6QixJQUFJLElBQUksR0FBRyxDQUFDLEtBQUssS0FBSyxJQUFJLElBQUksS0FBSyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUMzRSxPQUFPLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0FBQzVFLENBQUM7QUFFRCxtR0FBbUc7QUFDbkcsd0NBQXdDO0FBRXhDLFNBQVMsU0FBUyxDQUFDLFdBQXFCLEVBQUUsSUFBVztJQUNqRCxJQUFJLEtBQUssR0FBRyxDQUFFLFdBQVcsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFFLENBQUM7SUFDMUQsS0FBSyxJQUFJLEdBQUcsSUFBSSxJQUFJO1FBQ2hCLEtBQUssQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3pGLE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsR0FBRyxNQUFNLENBQUM7QUFDdkMsQ0FBQztBQUVELCtGQUErRjtBQUMvRixvRkFBb0Y7QUFFcEYsU0FBUyxhQUFhLENBQUMsSUFBVyxFQUFFLGVBQXFEO0lBQ3JGLE9BQU87UUFDSCxJQUFJLEVBQUUsbUJBQW1CO1FBQ3pCLFFBQVEsRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1lBQ3JCLElBQUksY0FBYyxHQUFHLGtCQUFrQixDQUFDLGVBQWUsRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUM7WUFDdEUsT0FBTztnQkFDSCxJQUFJLEVBQUUsU0FBUztnQkFDZixRQUFRLEVBQUUsQ0FBQyxjQUFjLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLFdBQVcsRUFBRSxDQUFFLGNBQWMsQ0FBQyxTQUFTLEVBQUUsY0FBYyxDQUFDLFFBQVEsQ0FBRSxFQUFFO2dCQUN2SSxVQUFVLEVBQUUsR0FBRzthQUNsQixDQUFDO1FBQ04sQ0FBQyxDQUFDO0tBQ0wsQ0FBQztBQUNOLENBQUM7QUFFRCx1RkFBdUY7QUFFdkYsU0FBUyxVQUFVLENBQUMsSUFBVyxFQUFFLGVBQXFEO0lBQ2xGLE9BQU87UUFDSCxRQUFRLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRTtZQUNyQixJQUFJLGNBQWMsR0FBRyxrQkFBa0IsQ0FBQyxlQUFlLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQ3RFLElBQUksYUFBYSxHQUFHLGdCQUFnQixDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUNsRCxJQUFJLEtBQUssR0FBRyxvQ0FBb0MsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7WUFDckUsSUFBSSxRQUFRLEdBQVE7Z0JBQ2hCLE9BQU8sRUFBRTtvQkFDTCxNQUFNLEVBQUUsQ0FBQyxHQUFHLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFO29CQUNsRyxNQUFNLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztvQkFDaEIsUUFBUSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxJQUFJO29CQUMxQixLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLElBQUk7aUJBQzFCO2dCQUNELGNBQWMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxHQUFHLElBQUksR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLE9BQU8sRUFBRSxFQUFFLEdBQUcsRUFBRSxHQUFHLENBQUMsR0FBRyxJQUFJLElBQUksRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxHQUFHLENBQUMsSUFBSSxJQUFJLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSTtnQkFDM0ksUUFBUSxFQUFFLENBQUMsY0FBYyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxXQUFXLEVBQUUsQ0FBRSxjQUFjLENBQUMsU0FBUyxFQUFFLGNBQWMsQ0FBQyxRQUFRLENBQUUsRUFBRTthQUMxSSxDQUFDO1lBQ0YsT0FBTztnQkFDSCxXQUFXLEVBQUU7b0JBQ1QsSUFBSSxFQUFFO3dCQUNGLE1BQU0sRUFBRSxHQUFHLENBQUMsaUJBQWlCO3dCQUM3QixnQkFBZ0IsRUFBRSxHQUFHLENBQUMsUUFBUSxJQUFJLElBQUk7d0JBQ3RDLGtCQUFrQixFQUFFLEdBQUcsQ0FBQyxZQUFZLElBQUksSUFBSTt3QkFDNUMsV0FBVyxFQUFFLEdBQUcsQ0FBQyxXQUFXO3dCQUM1QixTQUFTLEVBQUUsRUFBRSxHQUFHLEVBQUUsWUFBWSxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUU7d0JBQ3JELGNBQWMsRUFBRSxHQUFHLENBQUMsYUFBYSxJQUFJLElBQUk7d0JBQ3pDLGtCQUFrQixFQUFFLEdBQUcsQ0FBQyxhQUFhLElBQUksSUFBSTt3QkFDN0Msa0JBQWtCLEVBQUUsR0FBRyxDQUFDLFFBQVEsSUFBSSxJQUFJO3dCQUN4QyxNQUFNLEVBQUUsSUFBSTtxQkFDZjtvQkFDRCxTQUFTLEVBQUU7d0JBQ1AsYUFBYSxFQUFFLEdBQUcsQ0FBQyxRQUFRO3dCQUMzQixZQUFZLEVBQUUsR0FBRyxDQUFDLFdBQVcsSUFBSSxJQUFJO3FCQUN4QztvQkFDRCxTQUFTLEVBQUUsQ0FBRSxRQUFRLENBQUU7b0JBQ3ZCLE1BQU0sRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFFLEVBQUUsSUFBSSxFQUFFLEdBQUcsQ0FBQyxTQUFTLEVBQUUsSUFBSSxFQUFFLFdBQVcsRUFBRSxDQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUU7b0JBQzNFLGNBQWMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxjQUFjLEtBQUssSUFBSSxJQUFJLEdBQUcsQ0FBQyxjQUFjLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxRQUFRLEVBQUU7aUJBQzNIO2FBQ0osQ0FBQztRQUNOLENBQUMsQ0FBQztRQUNGLEtBQUssRUFBRSxJQUFJLENBQUMsTUFBTTtRQUNsQixVQUFVLEVBQUUsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLENBQUMsRUFBRSxRQUFRLEVBQUUsSUFBSSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsSUFBSSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFO0tBQzlHLENBQUM7QUFDTixDQUFDO0FBRUQsd0NBQXdDO0FBRXhDLEtBQUssVUFBVSxJQUFJO0lBQ2YsSUFBSSxPQUFPLEdBQUcsY0FBYyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDcEQsSUFBSSxlQUFlLEdBQUcsbUJBQW1CLEVBQUUsQ0FBQztJQUU1QyxJQUFJLEVBQUUsV0FBVyxFQUFFLElBQUksRUFBRSxHQUFHLE1BQU0sZ0JBQWdCLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDNUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLElBQUksQ0FBQyxNQUFNLHFDQUFxQyxPQUFPLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQztJQUU1RixJQUFJLE1BQWMsQ0FBQztJQUNuQixJQUFJLE9BQU8sQ0FBQyxNQUFNLEtBQUssWUFBWSxDQUFDLEdBQUc7UUFDbkMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxXQUFXLEVBQUUsSUFBSSxDQUFDLENBQUM7U0FDckMsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLFlBQVksQ0FBQyxJQUFJO1FBQ3pDLE1BQU0sR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDO1NBQzdDLElBQUksT0FBTyxDQUFDLE1BQU0sS0FBSyxZQUFZLENBQUMsT0FBTztRQUM1QyxNQUFNLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxhQUFhLENBQUMsSUFBSSxFQUFFLGVBQWUsQ0FBQyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUM7O1FBRTlFLE1BQU0sR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxJQUFJLEVBQUUsZUFBZSxDQUFDLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQztJQUUvRSxFQUFFLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDN0MsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLElBQUksQ0FBQyxNQUFNLG1DQUFtQyxPQUFPLENBQUMsVUFBVSxFQUFFLENBQUMsQ0FBQztBQUM3RixDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
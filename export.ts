@@ -0,0 +1,281 @@
+// Exports the development applications in the database as CSV, JSON, GeoJSON or as a feed in the
+// PlanningAlerts (ATDIS) application format.  For example,
+//
+//     node export.js --format geojson --output applications.geojson --from 2018-07-01 --to 2018-12-31 --suburb GOOLWA --prefix 455/
+
+"use strict";
+
+import * as sqlite3 from "sqlite3";
+import * as moment from "moment";
+import * as path from "path";
+import * as fs from "fs";
+
+sqlite3.verbose();
+
+const AuthorityName = "Alexandrina Council";
+const AuthorityUrl = "https://www.alexandrina.sa.gov.au";
+
+// The formats that applications can be exported in.
+
+enum ExportFormat {
+    Csv = "csv",
+    Json = "json",
+    GeoJson = "geojson",
+    Feed = "feed"
+}
+
+// The command line options.
+
+interface ExportOptions {
+    format: ExportFormat,
+    databasePath: string,
+    outputPath: string,
+    fromDate: string,
+    toDate: string,
+    suburb: string,
+    referencePrefix: string
+}
+
+// The approximate centre of a suburb (along with the full suburb name, including the state and post
+// code, as it appears at the end of an address).
+
+interface SuburbCentroid {
+    suburbName: string,
+    latitude: number,
+    longitude: number
+}
+
+// Parses the command line arguments.
+
+function parseArguments(args: string[]) {
+    let options: ExportOptions = { format: ExportFormat.Csv, databasePath: "data.sqlite", outputPath: undefined, fromDate: undefined, toDate: undefined, suburb: undefined, referencePrefix: undefined };
+    for (let index = 0; index < args.length; index++) {
+        let value = (index + 1 < args.length) ? args[index + 1] : undefined;
+        if (value === undefined)
+            throw new Error(`Missing value for command line option: ${args[index]}`);
+        if (args[index] === "--format")
+            options.format = value.toLowerCase() as ExportFormat;
+        else if (args[index] === "--database")
+            options.databasePath = value;
+        else if (args[index] === "--output")
+            options.outputPath = value;
+        else if (args[index] === "--from")
+            options.fromDate = value;
+        else if (args[index] === "--to")
+            options.toDate = value;
+        else if (args[index] === "--suburb")
+            options.suburb = value.toUpperCase().trim();
+        else if (args[index] === "--prefix")
+            options.referencePrefix = value;
+        else
+            throw new Error(`Unrecognised command line option: ${args[index]}`);
+        index++;
+    }
+
+    if (![ ExportFormat.Csv, ExportFormat.Json, ExportFormat.GeoJson, ExportFormat.Feed ].includes(options.format))
+        throw new Error(`Unrecognised export format: ${options.format} (expected csv, json, geojson or feed)`);
+    for (let date of [ options.fromDate, options.toDate ])
+        if (date !== undefined && !moment(date, "YYYY-MM-DD", true).isValid())
+            throw new Error(`Invalid date (expected YYYY-MM-DD): ${date}`);
+    if (options.outputPath === undefined)
+        options.outputPath = `applications.${(options.format === ExportFormat.Feed) ? "feed.json" : options.format}`;
+    return options;
+}
+
+// Reads the approximate centre of each suburb (keyed by the suburb names in suburbnames.txt).
+
+function readSuburbCentroids() {
+    let suburbNames = {};
+    for (let suburb of fs.readFileSync(path.join(__dirname, "suburbnames.txt")).toString().replace(/\r/g, "").trim().split("\n"))
+        suburbNames[suburb.split(",")[0]] = suburb.split(",")[1];
+
+    let suburbCentroids: { [suburb: string]: SuburbCentroid } = {};
+    for (let line of fs.readFileSync(path.join(__dirname, "suburbcentroids.txt")).toString().replace(/\r/g, "").trim().split("\n")) {
+        let [ suburb, latitude, longitude ] = line.split(",");
+        if (suburbNames[suburb] !== undefined)
+            suburbCentroids[suburb] = { suburbName: suburbNames[suburb], latitude: Number(latitude), longitude: Number(longitude) };
+    }
+    return suburbCentroids;
+}
+
+// Gets the suburb text at the end of an address (for example, "GOOLWA SA 5214" from "12 Cadell
+// Street, GOOLWA SA 5214").
+
+function getAddressSuburb(address: string) {
+    let index = (address || "").lastIndexOf(",");
+    return (index < 0) ? "" : address.substring(index + 1).trim().toUpperCase();
+}
+
+// Finds the centre of the suburb of the specified address (returning undefined if the suburb of the
+// address is not known).
+
+function findSuburbCentroid(suburbCentroids: { [suburb: string]: SuburbCentroid }, address: string) {
+    let addressSuburb = getAddressSuburb(address);
+    for (let suburb in suburbCentroids)
+        if (suburbCentroids[suburb].suburbName === addressSuburb || suburb === addressSuburb)
+            return suburbCentroids[suburb];
+    return undefined;
+}
+
+// Runs the specified query against the database, returning all resulting rows.
+
+function readRows(database, sql: string, parameters: any[]) {
+    return new Promise<any[]>((resolve, reject) => {
+        database.all(sql, parameters, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+// Reads the development applications from the database that match the received date range, suburb
+// and reference prefix filters (along with the names of the columns of the data table, so that the
+// columns are known even when no applications match).
+
+async function readApplications(options: ExportOptions) {
+    if (!fs.existsSync(options.databasePath))
+        throw new Error(`The database does not exist: ${options.databasePath}`);
+
+    let conditions: string[] = [];
+    let parameters: any[] = [];
+    if (options.fromDate !== undefined) {
+        conditions.push("[date_received] >= ?");
+        parameters.push(options.fromDate);
+    }
+    if (options.toDate !== undefined) {
+        conditions.push("[date_received] <> '' and [date_received] <= ?");
+        parameters.push(options.toDate);
+    }
+    if (options.referencePrefix !== undefined) {
+        conditions.push("substr([council_reference], 1, ?) = ?");
+        parameters.push(options.referencePrefix.length, options.referencePrefix);
+    }
+    let sql = "select * from [data]" + ((conditions.length === 0) ? "" : " where " + conditions.join(" and ")) + " order by [date_received], [council_reference]";
+
+    let database = new sqlite3.Database(options.databasePath, sqlite3.OPEN_READONLY);
+    let columnNames: string[];
+    let rows: any[];
+    try {
+        columnNames = (await readRows(database, "pragma table_info('data')", [])).map(column => column.name);
+        rows = await readRows(database, sql, parameters);
+    } finally {
+        database.close();
+    }
+
+    // Filter by suburb (ignoring any state and post code in either the filter or the address).
+
+    if (options.suburb !== undefined) {
+        let suburb = options.suburb.replace(/\s+SA(\s+\d{4})?$/, "");
+        rows = rows.filter(row => getAddressSuburb(row.address).replace(/\s+SA(\s+\d{4})?$/, "") === suburb);
+    }
+    return { columnNames: columnNames, rows: rows };
+}
+
+// Quotes a value for a CSV file (when it contains a comma, quote or line break).
+
+function formatCsvValue(value) {
+    let text = (value === null || value === undefined) ? "" : value.toString();
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// Formats the applications as CSV (with a header row containing the column names, which is written
+// even when there are no applications).
+
+function formatCsv(columnNames: string[], rows: any[]) {
+    let lines = [ columnNames.map(formatCsvValue).join(",") ];
+    for (let row of rows)
+        lines.push(columnNames.map(columnName => formatCsvValue(row[columnName])).join(","));
+    return lines.join("\r\n") + "\r\n";
+}
+
+// Formats the applications as a GeoJSON feature collection (each application is located at the
+// approximate centre of its suburb, or has no geometry if the suburb is not known).
+
+function formatGeoJson(rows: any[], suburbCentroids: { [suburb: string]: SuburbCentroid }) {
+    return {
+        type: "FeatureCollection",
+        features: rows.map(row => {
+            let suburbCentroid = findSuburbCentroid(suburbCentroids, row.address);
+            return {
+                type: "Feature",
+                geometry: (suburbCentroid === undefined) ? null : { type: "Point", coordinates: [ suburbCentroid.longitude, suburbCentroid.latitude ] },
+                properties: row
+            };
+        })
+    };
+}
+
+// Formats the applications as a feed in the PlanningAlerts (ATDIS) application format.
+
+function formatFeed(rows: any[], suburbCentroids: { [suburb: string]: SuburbCentroid }) {
+    return {
+        response: rows.map(row => {
+            let suburbCentroid = findSuburbCentroid(suburbCentroids, row.address);
+            let addressSuburb = getAddressSuburb(row.address);
+            let match = /^(.*?)(?:\s+(SA))?(?:\s+(\d{4}))?$/.exec(addressSuburb);
+            let location: any = {
+                address: {
+                    street: (row.address || "").substring(0, Math.max(0, (row.address || "").lastIndexOf(","))).trim(),
+                    suburb: match[1],
+                    postcode: match[3] || null,
+                    state: match[2] || "SA"
+                },
+                land_title_ref: (row.lot || row.plan) ? { torrens: { lot: row.lot || null, section: null, dpsp_id: row.plan || null, title: null } } : null,
+                geometry: (suburbCentroid === undefined) ? null : { type: "Point", coordinates: [ suburbCentroid.longitude, suburbCentroid.latitude ] }
+            };
+            return {
+                application: {
+                    info: {
+                        dat_id: row.council_reference,
+                        development_type: row.category || null,
+                        last_modified_date: row.date_scraped || null,
+                        description: row.description,
+                        authority: { ref: AuthorityUrl, name: AuthorityName },
+                        lodgement_date: row.date_received || null,
+                        determination_date: row.date_decision || null,
+                        determination_type: row.decision || null,
+                        status: null
+                    },
+                    reference: {
+                        more_info_url: row.info_url,
+                        comments_url: row.comment_url || null
+                    },
+                    locations: [ location ],
+                    people: row.applicant ? [ { name: row.applicant, role: "Applicant" } ] : [],
+                    estimated_cost: (row.estimated_cost === null || row.estimated_cost === undefined) ? null : row.estimated_cost.toString()
+                }
+            };
+        }),
+        count: rows.length,
+        pagination: { previous: null, next: null, current: 1, per_page: rows.length, count: rows.length, pages: 1 }
+    };
+}
+
+// Exports the development applications.
+
+async function main() {
+    let options = parseArguments(process.argv.slice(2));
+    let suburbCentroids = readSuburbCentroids();
+
+    let { columnNames, rows } = await readApplications(options);
+    console.log(`Read ${rows.length} development application(s) from: ${options.databasePath}`);
+
+    let output: string;
+    if (options.format === ExportFormat.Csv)
+        output = formatCsv(columnNames, rows);
+    else if (options.format === ExportFormat.Json)
+        output = JSON.stringify(rows, null, 4) + "\n";
+    else if (options.format === ExportFormat.GeoJson)
+        output = JSON.stringify(formatGeoJson(rows, suburbCentroids), null, 4) + "\n";
+    else
+        output = JSON.stringify(formatFeed(rows, suburbCentroids), null, 4) + "\n";
+
+    fs.writeFileSync(options.outputPath, output);
+    console.log(`Wrote ${rows.length} development application(s) to: ${options.outputPath}`);
+}
+
+main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });
@@ -0,0 +1,122 @@
+// Retrieves web pages and documents, retrying failed requests (with exponential backoff), caching
+// responses on disk and using conditional requests so that unchanged content is not downloaded
+// again.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const request = require("request-promise-native");
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const DefaultFetchOptions = {
+    proxy: process.env.MORPH_PROXY,
+    cacheDirectory: process.env.MORPH_CACHE_DIRECTORY || "cache",
+    maximumRetries: getNumber(process.env.MORPH_MAXIMUM_RETRIES, 3),
+    initialRetryDelay: 5000,
+    politenessDelay: getNumber(process.env.MORPH_POLITENESS_DELAY, undefined)
+};
+// Parses a non-negative number from an environment variable, using the specified default if the
+// variable is not set or is invalid.
+function getNumber(text, defaultNumber) {
+    let number = Number(text);
+    return (text === undefined || text.trim() === "" || isNaN(number) || number < 0) ? defaultNumber : number;
+}
+// Gets a random integer in the specified range: [minimum, maximum).
+function getRandom(minimum, maximum) {
+    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
+}
+// Pauses for the specified number of milliseconds.
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+// Gets the paths of the files that cache the details and body of the response for the specified
+// URL (the file names are a hash of the URL).
+function getCachePaths(cacheDirectory, url) {
+    let hash = crypto.createHash("sha256").update(url).digest("hex");
+    return { entryPath: path.join(cacheDirectory, `${hash}.json`), bodyPath: path.join(cacheDirectory, `${hash}.bin`) };
+}
+// Reads the cached response for the specified URL (returning undefined if there is none).
+function readCache(cacheDirectory, url) {
+    let { entryPath, bodyPath } = getCachePaths(cacheDirectory, url);
+    if (!fs.existsSync(entryPath) || !fs.existsSync(bodyPath))
+        return undefined;
+    try {
+        let cacheEntry = JSON.parse(fs.readFileSync(entryPath).toString());
+        return (cacheEntry.url === url) ? { cacheEntry: cacheEntry, body: fs.readFileSync(bodyPath) } : undefined;
+    }
+    catch (error) {
+        console.log(`Ignoring unreadable cache entry for: ${url}`);
+        return undefined;
+    }
+}
+// Creates the specified directory, first creating each parent directory that does not exist (the
+// recursive option of fs.mkdirSync is not available in Node.js 10.6).
+function createDirectory(directory) {
+    if (fs.existsSync(directory))
+        return;
+    createDirectory(path.dirname(directory));
+    fs.mkdirSync(directory);
+}
+// Writes the response for the specified URL to the cache.
+function writeCache(cacheDirectory, url, etag, lastModified, body) {
+    let { entryPath, bodyPath } = getCachePaths(cacheDirectory, url);
+    createDirectory(cacheDirectory);
+    let cacheEntry = { url: url, etag: etag, lastModified: lastModified, cachedDate: new Date().toISOString() };
+    fs.writeFileSync(bodyPath, body);
+    fs.writeFileSync(entryPath, JSON.stringify(cacheEntry, null, 4) + "\n");
+}
+// Determines whether a failed request should be retried (for network errors, when the server is
+// overloaded and for server errors).
+function isRetryable(statusCode) {
+    return statusCode === undefined || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+// Retrieves the specified URL.  If a response was previously cached then a conditional request is
+// made (using If-None-Match and If-Modified-Since) and the cached body is used if the server
+// indicates that the content has not changed.  Failed requests are retried with an exponentially
+// increasing delay.  Every request is followed by a politeness delay.  A failure to write to the
+// cache is logged but does not cause the request to fail (or be retried).
+async function fetchUrl(url, options) {
+    options = Object.assign({}, DefaultFetchOptions, options);
+    let cached = readCache(options.cacheDirectory, url);
+    let headers = {};
+    if (cached !== undefined && cached.cacheEntry.etag)
+        headers["If-None-Match"] = cached.cacheEntry.etag;
+    if (cached !== undefined && cached.cacheEntry.lastModified)
+        headers["If-Modified-Since"] = cached.cacheEntry.lastModified;
+    for (let attempt = 0;; attempt++) {
+        let response = undefined;
+        let statusCode = undefined;
+        let error = undefined;
+        try {
+            response = await request({ url: url, proxy: options.proxy, headers: headers, encoding: null, resolveWithFullResponse: true, simple: false });
+            statusCode = response.statusCode;
+        }
+        catch (requestError) {
+            error = requestError; // for example, the connection was reset or timed out
+        }
+        finally {
+            await sleep((options.politenessDelay === undefined) ? 2000 + getRandom(0, 5) * 1000 : options.politenessDelay);
+        }
+        if (statusCode === 304 && cached !== undefined)
+            return { body: cached.body, etag: cached.cacheEntry.etag, lastModified: cached.cacheEntry.lastModified, isNotModified: true };
+        if (statusCode >= 200 && statusCode < 300) {
+            let etag = (response.headers.etag === undefined) ? "" : response.headers.etag;
+            let lastModified = (response.headers["last-modified"] === undefined) ? "" : response.headers["last-modified"];
+            try {
+                writeCache(options.cacheDirectory, url, etag, lastModified, response.body);
+            }
+            catch (cacheError) {
+                console.log(`Could not cache the response for ${url}: ${cacheError.message}`);
+            }
+            return { body: response.body, etag: etag, lastModified: lastModified, isNotModified: false };
+        }
+        if (error === undefined)
+            error = new Error(`The request for ${url} failed with status code ${statusCode}.`);
+        if (!isRetryable(statusCode) || attempt >= options.maximumRetries)
+            throw error;
+        let retryDelay = options.initialRetryDelay * Math.pow(2, attempt);
+        console.log(`Retrying in ${retryDelay / 1000} second(s) (attempt ${attempt + 2} of ${options.maximumRetries + 1}) because the request for ${url} failed: ${error.message}`);
+        await sleep(retryDelay);
+    }
+}
+exports.fetchUrl = fetchUrl;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmV0Y2guanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJmZXRjaC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxrR0FBa0c7QUFDbEcsK0ZBQStGO0FBQy9GLFNBQVM7QUFFVCxZQUFZLENBQUM7O0FBRWIsa0RBQWtEO0FBQ2xELGlDQUFpQztBQUNqQyw2QkFBNkI7QUFDN0IseUJBQXlCO0FBY3pCLE1BQU0sbUJBQW1CLEdBQWlCO0lBQ3RDLEtBQUssRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVc7SUFDOUIsY0FBYyxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLElBQUksT0FBTztJQUM1RCxjQUFjLEVBQUUsU0FBUyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLEVBQUUsQ0FBQyxDQUFDO0lBQy9ELGlCQUFpQixFQUFFLElBQUk7SUFDdkIsZUFBZSxFQUFFLFNBQVMsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLHNCQUFzQixFQUFFLFNBQVMsQ0FBQztDQUM1RSxDQUFDO0FBcUJGLGdHQUFnRztBQUNoRyxxQ0FBcUM7QUFFckMsU0FBUyxTQUFTLENBQUMsSUFBWSxFQUFFLGFBQXFCO0lBQ2xELElBQUksTUFBTSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUMxQixPQUFPLENBQUMsSUFBSSxLQUFLLFNBQVMsSUFBSSxJQUFJLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxJQUFJLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO0FBQzlHLENBQUM7QUFFRCxvRUFBb0U7QUFFcEUsU0FBUyxTQUFTLENBQUMsT0FBZSxFQUFFLE9BQWU7SUFDL0MsT0FBTyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztBQUN2RyxDQUFDO0FBRUQsbURBQW1EO0FBRW5ELFNBQVMsS0FBSyxDQUFDLFlBQVk7SUFDdkIsT0FBTyxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQztBQUNyRSxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLDhDQUE4QztBQUU5QyxTQUFTLGFBQWEsQ0FBQyxjQUFzQixFQUFFLEdBQVc7SUFDdEQsSUFBSSxJQUFJLEdBQUcsTUFBTSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2pFLE9BQU8sRUFBRSxTQUFTLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxjQUFjLEVBQUUsR0FBRyxJQUFJLE9BQU8sQ0FBQyxFQUFFLFFBQVEsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUFDLGNBQWMsRUFBRSxHQUFHLElBQUksTUFBTSxDQUFDLEVBQUUsQ0FBQztBQUN4SCxDQUFDO0FBRUQsMEZBQTBGO0FBRTFGLFNBQVMsU0FBUyxDQUFDLGNBQXNCLEVBQUUsR0FBVztJQUNsRCxJQUFJLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRSxHQUFHLGFBQWEsQ0FBQyxjQUFjLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFDakUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQztRQUNyRCxPQUFPLFNBQVMsQ0FBQztJQUNyQixJQUFJO1FBQ0EsSUFBSSxVQUFVLEdBQWUsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLFNBQVMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7UUFDL0UsT0FBTyxDQUFDLFVBQVUsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsRUFBRSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7S0FDN0c7SUFBQyxPQUFPLEtBQUssRUFBRTtRQUNaLE9BQU8sQ0FBQyxHQUFHLENBQUMsd0NBQXdDLEdBQUcsRUFBRSxDQUFDLENBQUM7UUFDM0QsT0FBTyxTQUFTLENBQUM7S0FDcEI7QUFDTCxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLHNFQUFzRTtBQUV0RSxTQUFTLGVBQWUsQ0FBQyxTQUFpQjtJQUN0QyxJQUFJLEVBQUUsQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDO1FBQ3hCLE9BQU87SUFDWCxlQUFlLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQ3pDLEVBQUUsQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7QUFDNUIsQ0FBQztBQUVELDBEQUEwRDtBQUUxRCxTQUFTLFVBQVUsQ0FBQyxjQUFzQixFQUFFLEdBQVcsRUFBRSxJQUFZLEVBQUUsWUFBb0IsRUFBRSxJQUFZO0lBQ3JHLElBQUksRUFBRSxTQUFTLEVBQUUsUUFBUSxFQUFFLEdBQUcsYUFBYSxDQUFDLGNBQWMsRUFBRSxHQUFHLENBQUMsQ0FBQztJQUNqRSxlQUFlLENBQUMsY0FBYyxDQUFDLENBQUM7SUFDaEMsSUFBSSxVQUFVLEdBQWUsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxVQUFVLEVBQUUsSUFBSSxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDO0lBQ3hILEVBQUUsQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxDQUFDO0lBQ2pDLEVBQUUsQ0FBQyxhQUFhLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsVUFBVSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztBQUM1RSxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLHFDQUFxQztBQUVyQyxTQUFTLFdBQVcsQ0FBQyxVQUFrQjtJQUNuQyxPQUFPLFVBQVUsS0FBSyxTQUFTLElBQUksVUFBVSxLQUFLLEdBQUcsSUFBSSxVQUFVLEtBQUssR0FBRyxJQUFJLFVBQVUsSUFBSSxHQUFHLENBQUM7QUFDckcsQ0FBQztBQUVELGtHQUFrRztBQUNsRyw2RkFBNkY7QUFDN0YsaUdBQWlHO0FBQ2pHLGlHQUFpRztBQUNqRywwRUFBMEU7QUFFbkUsS0FBSyxVQUFVLFFBQVEsQ0FBQyxHQUFXLEVBQUUsT0FBc0I7SUFDOUQsT0FBTyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLG1CQUFtQixFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBRTFELElBQUksTUFBTSxHQUFHLFNBQVMsQ0FBQyxPQUFPLENBQUMsY0FBYyxFQUFFLEdBQUcsQ0FBQyxDQUFDO0lBQ3BELElBQUksT0FBTyxHQUFHLEVBQUUsQ0FBQztJQUNqQixJQUFJLE1BQU0sS0FBSyxTQUFTLElBQUksTUFBTSxDQUFDLFVBQVUsQ0FBQyxJQUFJO1FBQzlDLE9BQU8sQ0FBQyxlQUFlLENBQUMsR0FBRyxNQUFNLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQztJQUN0RCxJQUFJLE1BQU0sS0FBSyxTQUFTLElBQUksTUFBTSxDQUFDLFVBQVUsQ0FBQyxZQUFZO1FBQ3RELE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxVQUFVLENBQUMsWUFBWSxDQUFDO0lBRWxFLEtBQUssSUFBSSxPQUFPLEdBQUcsQ0FBQyxHQUFJLE9BQU8sRUFBRSxFQUFFO1FBQy9CLElBQUksUUFBUSxHQUFHLFNBQVMsQ0FBQztRQUN6QixJQUFJLFVBQVUsR0FBVyxTQUFTLENBQUM7UUFDbkMsSUFBSSxLQUFLLEdBQUcsU0FBUyxDQUFDO1FBQ3RCLElBQUk7WUFDQSxRQUFRLEdBQUcsTUFBTSxPQUFPLENBQUMsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSx1QkFBdUIsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7WUFDN0ksVUFBVSxHQUFHLFFBQVEsQ0FBQyxVQUFVLENBQUM7U0FDcEM7UUFBQyxPQUFPLFlBQVksRUFBRTtZQUNuQixLQUFLLEdBQUcsWUFBWSxDQUFDLENBQUUscURBQXFEO1NBQy9FO2dCQUFTO1lBQ04sTUFBTSxLQUFLLENBQUMsQ0FBQyxPQUFPLENBQUMsZUFBZSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQztTQUNsSDtRQUVELElBQUksVUFBVSxLQUFLLEdBQUcsSUFBSSxNQUFNLEtBQUssU0FBUztZQUMxQyxPQUFzQixFQUFFLElBQUksRUFBRSxNQUFNLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxNQUFNLENBQUMsVUFBVSxDQUFDLElBQUksRUFBRSxZQUFZLEVBQUUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxZQUFZLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxDQUFDO1FBQ2pKLElBQUksVUFBVSxJQUFJLEdBQUcsSUFBSSxVQUFVLEdBQUcsR0FBRyxFQUFFO1lBQ3ZDLElBQUksSUFBSSxHQUFHLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxJQUFjLENBQUM7WUFDeEYsSUFBSSxZQUFZLEdBQUcsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFXLENBQUM7WUFDeEgsSUFBSTtnQkFDQSxVQUFVLENBQUMsT0FBTyxDQUFDLGNBQWMsRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUM7YUFDOUU7WUFBQyxPQUFPLFVBQVUsRUFBRTtnQkFDakIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvQ0FBb0MsR0FBRyxLQUFLLFVBQVUsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2FBQ2pGO1lBQ0QsT0FBc0IsRUFBRSxJQUFJLEVBQUUsUUFBUSxDQUFDLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxDQUFDO1NBQy9HO1FBQ0QsSUFBSSxLQUFLLEtBQUssU0FBUztZQUNuQixLQUFLLEdBQUcsSUFBSSxLQUFLLENBQUMsbUJBQW1CLEdBQUcsNEJBQTRCLFVBQVUsR0FBRyxDQUFDLENBQUM7UUFFdkYsSUFBSSxDQUFDLFdBQVcsQ0FBQyxVQUFVLENBQUMsSUFBSSxPQUFPLElBQUksT0FBTyxDQUFDLGNBQWM7WUFDN0QsTUFBTSxLQUFLLENBQUM7UUFFaEIsSUFBSSxVQUFVLEdBQUcsT0FBTyxDQUFDLGlCQUFpQixHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQ2xFLE9BQU8sQ0FBQyxHQUFHLENBQUMsZUFBZSxVQUFVLEdBQUcsSUFBSSx1QkFBdUIsT0FBTyxHQUFHLENBQUMsT0FBTyxPQUFPLENBQUMsY0FBYyxHQUFHLENBQUMsNkJBQTZCLEdBQUcsWUFBWSxLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUM1SyxNQUFNLEtBQUssQ0FBQyxVQUFVLENBQUMsQ0FBQztLQUMzQjtBQUNMLENBQUM7QUE3Q0QsNEJBNkNDIn0=
\ No newline at end of file
@@ -0,0 +1,172 @@
+// Retrieves web pages and documents, retrying failed requests (with exponential backoff), caching
+// responses on disk and using conditional requests so that unchanged content is not downloaded
+// again.
+
+"use strict";
+
+import * as request from "request-promise-native";
+import * as crypto from "crypto";
+import * as path from "path";
+import * as fs from "fs";
+
+// The options used when retrieving a URL.  The defaults may be overridden using environment
+// variables (MORPH_POLITENESS_DELAY is in milliseconds; when not set a delay of between two and
+// seven seconds is used).
+
+export interface FetchOptions {
+    proxy?: string,
+    cacheDirectory?: string,
+    maximumRetries?: number,
+    initialRetryDelay?: number,
+    politenessDelay?: number
+}
+
+const DefaultFetchOptions: FetchOptions = {
+    proxy: process.env.MORPH_PROXY,
+    cacheDirectory: process.env.MORPH_CACHE_DIRECTORY || "cache",
+    maximumRetries: getNumber(process.env.MORPH_MAXIMUM_RETRIES, 3),
+    initialRetryDelay: 5000,
+    politenessDelay: getNumber(process.env.MORPH_POLITENESS_DELAY, undefined)
+};
+
+// The response for a URL.  The body is read from the cache if the server indicated that the content
+// has not changed since it was cached.
+
+export interface FetchResponse {
+    body: Buffer,
+    etag: string,
+    lastModified: string,
+    isNotModified: boolean
+}
+
+// The details of a cached response (stored alongside the cached body).
+
+interface CacheEntry {
+    url: string,
+    etag: string,
+    lastModified: string,
+    cachedDate: string
+}
+
+// Parses a non-negative number from an environment variable, using the specified default if the
+// variable is not set or is invalid.
+
+function getNumber(text: string, defaultNumber: number) {
+    let number = Number(text);
+    return (text === undefined || text.trim() === "" || isNaN(number) || number < 0) ? defaultNumber : number;
+}
+
+// Gets a random integer in the specified range: [minimum, maximum).
+
+function getRandom(minimum: number, maximum: number) {
+    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
+}
+
+// Pauses for the specified number of milliseconds.
+
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// Gets the paths of the files that cache the details and body of the response for the specified
+// URL (the file names are a hash of the URL).
+
+function getCachePaths(cacheDirectory: string, url: string) {
+    let hash = crypto.createHash("sha256").update(url).digest("hex");
+    return { entryPath: path.join(cacheDirectory, `${hash}.json`), bodyPath: path.join(cacheDirectory, `${hash}.bin`) };
+}
+
+// Reads the cached response for the specified URL (returning undefined if there is none).
+
+function readCache(cacheDirectory: string, url: string) {
+    let { entryPath, bodyPath } = getCachePaths(cacheDirectory, url);
+    if (!fs.existsSync(entryPath) || !fs.existsSync(bodyPath))
+        return undefined;
+    try {
+        let cacheEntry: CacheEntry = JSON.parse(fs.readFileSync(entryPath).toString());
+        return (cacheEntry.url === url) ? { cacheEntry: cacheEntry, body: fs.readFileSync(bodyPath) } : undefined;
+    } catch (error) {
+        console.log(`Ignoring unreadable cache entry for: ${url}`);
+        return undefined;
+    }
+}
+
+// Creates the specified directory, first creating each parent directory that does not exist (the
+// recursive option of fs.mkdirSync is not available in Node.js 10.6).
+
+function createDirectory(directory: string) {
+    if (fs.existsSync(directory))
+        return;
+    createDirectory(path.dirname(directory));
+    fs.mkdirSync(directory);
+}
+
+// Writes the response for the specified URL to the cache.
+
+function writeCache(cacheDirectory: string, url: string, etag: string, lastModified: string, body: Buffer) {
+    let { entryPath, bodyPath } = getCachePaths(cacheDirectory, url);
+    createDirectory(cacheDirectory);
+    let cacheEntry: CacheEntry = { url: url, etag: etag, lastModified: lastModified, cachedDate: new Date().toISOString() };
+    fs.writeFileSync(bodyPath, body);
+    fs.writeFileSync(entryPath, JSON.stringify(cacheEntry, null, 4) + "\n");
+}
+
+// Determines whether a failed request should be retried (for network errors, when the server is
+// overloaded and for server errors).
+
+function isRetryable(statusCode: number) {
+    return statusCode === undefined || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// Retrieves the specified URL.  If a response was previously cached then a conditional request is
+// made (using If-None-Match and If-Modified-Since) and the cached body is used if the server
+// indicates that the content has not changed.  Failed requests are retried with an exponentially
+// increasing delay.  Every request is followed by a politeness delay.  A failure to write to the
+// cache is logged but does not cause the request to fail (or be retried).
+
+export async function fetchUrl(url: string, options?: FetchOptions) {
+    options = Object.assign({}, DefaultFetchOptions, options);
+
+    let cached = readCache(options.cacheDirectory, url);
+    let headers = {};
+    if (cached !== undefined && cached.cacheEntry.etag)
+        headers["If-None-Match"] = cached.cacheEntry.etag;
+    if (cached !== undefined && cached.cacheEntry.lastModified)
+        headers["If-Modified-Since"] = cached.cacheEntry.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+        let response = undefined;
+        let statusCode: number = undefined;
+        let error = undefined;
+        try {
+            response = await request({ url: url, proxy: options.proxy, headers: headers, encoding: null, resolveWithFullResponse: true, simple: false });
+            statusCode = response.statusCode;
+        } catch (requestError) {
+            error = requestError;  // for example, the connection was reset or timed out
+        } finally {
+            await sleep((options.politenessDelay === undefined) ? 2000 + getRandom(0, 5) * 1000 : options.politenessDelay);
+        }
+
+        if (statusCode === 304 && cached !== undefined)
+            return <FetchResponse>{ body: cached.body, etag: cached.cacheEntry.etag, lastModified: cached.cacheEntry.lastModified, isNotModified: true };
+        if (statusCode >= 200 && statusCode < 300) {
+            let etag = (response.headers.etag === undefined) ? "" : response.headers.etag as string;
+            let lastModified = (response.headers["last-modified"] === undefined) ? "" : response.headers["last-modified"] as string;
+            try {
+                writeCache(options.cacheDirectory, url, etag, lastModified, response.body);
+            } catch (cacheError) {
+                console.log(`Could not cache the response for ${url}: ${cacheError.message}`);
+            }
+            return <FetchResponse>{ body: response.body, etag: etag, lastModified: lastModified, isNotModified: false };
+        }
+        if (error === undefined)
+            error = new Error(`The request for ${url} failed with status code ${statusCode}.`);
+
+        if (!isRetryable(statusCode) || attempt >= options.maximumRetries)
+            throw error;
+
+        let retryDelay = options.initialRetryDelay * Math.pow(2, attempt);
+        console.log(`Retrying in ${retryDelay / 1000} second(s) (attempt ${attempt + 2} of ${options.maximumRetries + 1}) because the request for ${url} failed: ${error.message}`);
+        await sleep(retryDelay);
+    }
+}
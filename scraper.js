@@ -6,44 +6,272 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 const cheerio = require("cheerio");
-const request = require("request-promise-native");
 const sqlite3 = require("sqlite3");
 const urlparser = require("url");
 const moment = require("moment");
 const pdfjs = require("pdfjs-dist");
 const fs = require("fs");
+const crypto = require("crypto");
+const path = require("path");
+const fetch_1 = require("./fetch");
 sqlite3.verbose();
 const DevelopmentApplicationsUrl = "https://www.alexandrina.sa.gov.au/loose-pages/development-application-register";
 const CommentUrl = "mailto:alex@alexandrina.sa.gov.au";
+// The maximum number of PDFs to download and parse in a single run (avoid processing all PDFs at
+// once because this may use too much memory, resulting in morph.io terminating the current
+// process).  Set MORPH_FORCE_REPARSE to parse PDFs even when their content has not changed.
+const DocumentBudget = Math.max(1, Number(process.env.MORPH_DOCUMENT_BUDGET) || 2);
+const ForceReparse = (process.env.MORPH_FORCE_REPARSE !== undefined && process.env.MORPH_FORCE_REPARSE !== "");
+// Identifies the current run (used to group the changes made to applications by each run).
+const RunId = moment().format("YYYY-MM-DD HH:mm:ss");
+// The thresholds beyond which a run is considered to have failed (resulting in a non-zero exit
+// code), so that a change to the layout of the PDFs is noticed.  These are the maximum share of
+// parsed pages that may be skipped, the maximum share of applications that may have each field
+// fall back to its default value (by default this is not checked) and the maximum share of the
+// documents selected for the run that may fail.
+const MaximumSkippedPageRatio = getRatio(process.env.MORPH_MAXIMUM_SKIPPED_PAGE_RATIO, 0.5);
+const MaximumDefaultedFieldRatio = getRatio(process.env.MORPH_MAXIMUM_DEFAULTED_FIELD_RATIO, 1.0);
+const MaximumFailedDocumentRatio = getRatio(process.env.MORPH_MAXIMUM_FAILED_DOCUMENT_RATIO, 0.5);
 // All valid suburb names.
 let SuburbNames = null;
-// Sets up an sqlite database.
-async function initializeDatabase() {
+// The diagnostics recorded for the current run.
+let Diagnostics = {
+    runId: RunId,
+    startedDate: RunId,
+    finishedDate: undefined,
+    status: undefined,
+    documentsSelected: 0,
+    documentsFetched: 0,
+    documentsUnchanged: 0,
+    documentsFailed: [],
+    pagesParsed: 0,
+    pagesSkipped: 0,
+    applicationsParsed: 0,
+    applicationsSaved: 0,
+    skippedPages: {},
+    defaultedFields: {},
+    thresholdsExceeded: []
+};
+// Street type abbreviations and the corresponding full street types (read from streettypes.txt).
+let StreetTypes = null;
+// The suburb text (as found in the PDFs) that could not be matched to a known suburb name, along
+// with the numbers of the affected applications.
+let UnresolvedSuburbs = {};
+// The fields to extract from each page of a PDF (read from fields.json).
+let FieldDefinitions = null;
+// Gets the names of the columns of the specified table (resolving to an empty array if the table
+// does not exist).
+async function getColumnNames(database, table) {
     return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
-        database.serialize(() => {
-            database.all("PRAGMA table_info('data')", (error, rows) => {
-                if (rows.some(row => row.name === "on_notice_from"))
-                    database.run("drop table [data]"); // ensure that the on_notice_from (and on_notice_to) columns are removed
-                database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text)");
-                resolve(database);
-            });
+        database.all(`PRAGMA table_info('${table}')`, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                resolve(rows.map(row => row.name));
+            }
         });
     });
 }
-// Inserts a row in the database if it does not already exist.
-async function insertRow(database, developmentApplication) {
+// Gets the schema version recorded in the database (zero for a new database or a database created
+// before schema versions were recorded).
+async function getSchemaVersion(database) {
+    return new Promise((resolve, reject) => {
+        database.get("PRAGMA user_version", (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                resolve(row.user_version);
+            }
+        });
+    });
+}
+// Executes one or more SQL statements.
+async function executeSql(database, sql) {
+    return new Promise((resolve, reject) => {
+        database.exec(sql, error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                resolve();
+            }
+        });
+    });
+}
+// The columns of the data table when it is first created.
+const InitialDataColumnNames = ["council_reference", "address", "description", "info_url", "comment_url", "date_scraped", "date_received"];
+// The migration steps in the order that they must be applied.  Steps must never be changed or
+// removed once released; add a new step (with the next version number) to change the schema.  The
+// one exception is the data table columns for the fields configured in fields.json: these are added
+// after the migration steps (see migrateDatabase) so that adding a field only requires a change to
+// fields.json.  The schema version therefore describes every table and column except those.
+const Migrations = [
+    {
+        version: 1,
+        description: "Create the data table (rebuilding any existing data table without the on_notice_from and on_notice_to columns)",
+        getStatements: async (database) => {
+            let createStatement = "create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text)";
+            let columnNames = await getColumnNames(database, "data");
+            if (!columnNames.includes("on_notice_from") && !columnNames.includes("on_notice_to"))
+                return [createStatement];
+            let retainedColumnNames = InitialDataColumnNames.filter(columnName => columnNames.includes(columnName));
+            let columns = retainedColumnNames.map(columnName => `[${columnName}]`).join(", ");
+            return [
+                "alter table [data] rename to [data_old]",
+                createStatement,
+                `insert into [data] (${columns}) select ${columns} from [data_old]`,
+                "drop table [data_old]"
+            ];
+        }
+    },
+    {
+        version: 2,
+        description: "Create the documents table",
+        getStatements: async (database) => [
+            "create table if not exists [documents] ([url] text primary key, [date_first_seen] text, [content_hash] text, [etag] text, [date_checked] text, [date_parsed] text, [application_count] integer, [status] text)"
+        ]
+    },
+    {
+        version: 3,
+        description: "Create the application_revisions table",
+        getStatements: async (database) => [
+            "create table if not exists [application_revisions] ([council_reference] text, [field] text, [old_value] text, [new_value] text, [info_url] text, [date_scraped] text, [run_id] text)"
+        ]
+    },
+    {
+        version: 4,
+        description: "Create the runs table",
+        getStatements: async (database) => [
+            "create table if not exists [runs] ([run_id] text primary key, [date_started] text, [date_finished] text, [status] text, [documents_fetched] integer, [pages_parsed] integer, [pages_skipped] integer, [applications_saved] integer, [report] text)"
+        ]
+    }
+];
+// Applies any migration steps that have not yet been applied to the database (each step in its own
+// transaction, along with updating the schema version).  When performing a dry run the statements
+// that would be executed are reported instead.
+async function migrateDatabase(database, isDryRun) {
+    let schemaVersion = await getSchemaVersion(database);
+    let pendingMigrations = Migrations.filter(migration => migration.version > schemaVersion);
+    if (pendingMigrations.length === 0 && isDryRun)
+        console.log(`The database schema is up to date (version ${schemaVersion}).`);
+    for (let migration of pendingMigrations) {
+        let statements = await migration.getStatements(database);
+        if (isDryRun) {
+            console.log(`Would migrate the database schema to version ${migration.version}: ${migration.description}`);
+            for (let statement of statements)
+                console.log(`    ${statement};`);
+        }
+        else {
+            console.log(`Migrating the database schema to version ${migration.version}: ${migration.description}`);
+            await executeSql(database, ["begin transaction"].concat(statements, [`PRAGMA user_version = ${migration.version}`, "commit"]).join(";\n"));
+        }
+    }
+    // Add a column to the data table for any field in fields.json that does not yet have one (so
+    // that adding a field only requires a change to fields.json).  Existing rows are retained.
+    let columnNames = await getColumnNames(database, "data");
+    if (columnNames.length === 0 && isDryRun)
+        columnNames = InitialDataColumnNames; // the data table would have been created by the first migration step
+    for (let fieldDefinition of FieldDefinitions) {
+        if (fieldDefinition.column === undefined || columnNames.includes(fieldDefinition.column))
+            continue;
+        let statement = `alter table [data] add column [${fieldDefinition.column}] ${(fieldDefinition.type === FieldType.Currency) ? "real" : "text"}`;
+        if (isDryRun) {
+            console.log(`Would add a column to the data table for the "${fieldDefinition.label}" field:`);
+            console.log(`    ${statement};`);
+        }
+        else {
+            console.log(`Adding a column to the data table for the "${fieldDefinition.label}" field.`);
+            await executeSql(database, statement);
+        }
+    }
+}
+// Sets up an sqlite database (migrating the schema of an existing database if necessary).
+async function initializeDatabase(isDryRun = false) {
+    let database = isDryRun ?
+        new sqlite3.Database(fs.existsSync("data.sqlite") ? "data.sqlite" : ":memory:", sqlite3.OPEN_READONLY) : // a dry run never changes the database
+        new sqlite3.Database("data.sqlite");
+    await migrateDatabase(database, isDryRun);
+    return database;
+}
+// Gets the columns of the data table (along with the corresponding development application
+// properties).  This is the fixed columns plus a column for each field that has one configured in
+// fields.json.
+function getDataColumns() {
+    let dataColumns = [
+        { column: "address", property: "address" },
+        { column: "info_url", property: "informationUrl" },
+        { column: "comment_url", property: "commentUrl" },
+        { column: "date_scraped", property: "scrapeDate" }
+    ];
+    for (let fieldDefinition of FieldDefinitions)
+        if (fieldDefinition.column !== undefined)
+            dataColumns.push({ column: fieldDefinition.column, property: fieldDefinition.name });
+    return dataColumns;
+}
+// Reads the existing row for the specified application from the database (resolving to undefined
+// if there is no such row).
+async function getRow(database, applicationNumber) {
+    return new Promise((resolve, reject) => {
+        database.get("select * from [data] where [council_reference] = ?", [applicationNumber], (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                resolve(row);
+            }
+        });
+    });
+}
+// Records a change to a single field of an application.
+async function insertRevision(database, developmentApplication, field, oldValue, newValue) {
     return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?)");
+        let sqlStatement = database.prepare("insert into [application_revisions] values (?, ?, ?, ?, ?, ?, ?)");
         sqlStatement.run([
             developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
+            field,
+            oldValue,
+            newValue,
             developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
             developmentApplication.scrapeDate,
-            developmentApplication.receivedDate
+            RunId
         ], function (error, row) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                sqlStatement.finalize(); // releases any locks
+                resolve(row);
+            }
+        });
+    });
+}
+// Inserts a row in the database (or updates the existing row), first recording the old and new
+// value of each field that has changed as a revision (a new application is recorded as a change
+// from null for every field).
+async function insertRow(database, developmentApplication) {
+    let dataColumns = getDataColumns();
+    let existingRow = await getRow(database, developmentApplication.applicationNumber);
+    for (let revisionField of dataColumns.filter(dataColumn => dataColumn.column !== "council_reference" && dataColumn.column !== "date_scraped")) {
+        let oldValue = (existingRow === undefined || existingRow[revisionField.column] === undefined) ? null : existingRow[revisionField.column];
+        let newValue = (developmentApplication[revisionField.property] === undefined) ? null : developmentApplication[revisionField.property];
+        if (((oldValue === null) ? "" : oldValue) !== ((newValue === null) ? "" : newValue)) { // a missing value (such as in a newly added column) is the same as an empty value
+            if (existingRow !== undefined)
+                console.log(`    Application \"${developmentApplication.applicationNumber}\" changed ${revisionField.column} from \"${oldValue}\" to \"${newValue}\".`);
+            await insertRevision(database, developmentApplication, revisionField.column, oldValue, newValue);
+        }
+    }
+    return new Promise((resolve, reject) => {
+        let columns = dataColumns.map(dataColumn => `[${dataColumn.column}]`).join(", ");
+        let parameters = dataColumns.map(dataColumn => "?").join(", ");
+        let sqlStatement = database.prepare(`insert or replace into [data] (${columns}) values (${parameters})`);
+        sqlStatement.run(dataColumns.map(dataColumn => developmentApplication[dataColumn.property]), function (error, row) {
             if (error) {
                 console.error(error);
                 reject(error);
@@ -56,12 +284,239 @@ async function insertRow(database, developmentApplication) {
         });
     });
 }
+// Gets the identifier of the most recent run (from the runs table, which records every run, or else
+// from the revisions recorded by runs made before the runs table existed).  Resolves to undefined if
+// no run has been recorded.
+async function getLatestRunId(database) {
+    return new Promise((resolve, reject) => {
+        database.get("select max([run_id]) as [run_id] from (select [run_id] from [runs] union select [run_id] from [application_revisions])", (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                resolve((row === undefined || row.run_id === null) ? undefined : row.run_id);
+            }
+        });
+    });
+}
+// Reads the changes made to applications by the specified run.
+async function getRevisions(database, runId) {
+    return new Promise((resolve, reject) => {
+        database.all("select * from [application_revisions] where [run_id] = ? order by [rowid]", [runId], (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                resolve(rows);
+            }
+        });
+    });
+}
+// Lists the changes made to applications by the specified run (or by the most recent run if
+// "latest" is specified).
+async function listChanges(database, runId) {
+    if (runId === "latest") {
+        runId = await getLatestRunId(database);
+        if (runId === undefined) {
+            console.log("No runs have been recorded.");
+            return;
+        }
+    }
+    let revisions = await getRevisions(database, runId);
+    if (revisions.length === 0) {
+        console.log(`No changes were made by run: ${runId}`);
+        return;
+    }
+    console.log(`Changes made by run: ${runId}`);
+    for (let revision of revisions) {
+        if (revision.old_value === null)
+            console.log(`    ${revision.council_reference}: ${revision.field} set to "${revision.new_value}" (from ${revision.info_url})`);
+        else
+            console.log(`    ${revision.council_reference}: ${revision.field} changed from "${revision.old_value}" to "${revision.new_value}" (from ${revision.info_url})`);
+    }
+}
+// Records that a page was skipped (and the reason why).
+function recordSkippedPage(url, pageNumber, applicationNumber, reason) {
+    console.log(`Ignoring application ${applicationNumber} on page ${pageNumber} because there is ${reason}.`);
+    Diagnostics.pagesSkipped++;
+    Diagnostics.skippedPages[reason] = (Diagnostics.skippedPages[reason] || []).concat([{ url: url, pageNumber: pageNumber, applicationNumber: applicationNumber }]);
+}
+// Completes the diagnostics for the run, checking them against the failure thresholds (setting a
+// non-zero exit code if any threshold is exceeded), and writes them to runreport.json (and to the
+// runs table if a database is specified).
+async function finishRun(database) {
+    Diagnostics.finishedDate = moment().format("YYYY-MM-DD HH:mm:ss");
+    if (Diagnostics.pagesParsed > 0 && Diagnostics.pagesSkipped / Diagnostics.pagesParsed > MaximumSkippedPageRatio)
+        Diagnostics.thresholdsExceeded.push(`Skipped ${Diagnostics.pagesSkipped} of ${Diagnostics.pagesParsed} page(s), which is more than the maximum ratio of ${MaximumSkippedPageRatio}.`);
+    for (let field in Diagnostics.defaultedFields)
+        if (Diagnostics.applicationsParsed > 0 && Diagnostics.defaultedFields[field] / Diagnostics.applicationsParsed > MaximumDefaultedFieldRatio)
+            Diagnostics.thresholdsExceeded.push(`The "${field}" field fell back to its default value for ${Diagnostics.defaultedFields[field]} of ${Diagnostics.applicationsParsed} application(s), which is more than the maximum ratio of ${MaximumDefaultedFieldRatio}.`);
+    if (Diagnostics.documentsSelected > 0 && Diagnostics.documentsFailed.length / Diagnostics.documentsSelected > MaximumFailedDocumentRatio)
+        Diagnostics.thresholdsExceeded.push(`Failed to process ${Diagnostics.documentsFailed.length} of ${Diagnostics.documentsSelected} document(s), which is more than the maximum ratio of ${MaximumFailedDocumentRatio}.`);
+    Diagnostics.status = (Diagnostics.thresholdsExceeded.length === 0) ? "succeeded" : "failed";
+    console.log(`Fetched ${Diagnostics.documentsFetched} document(s) (${Diagnostics.documentsUnchanged} unchanged and ${Diagnostics.documentsFailed.length} failed), parsed ${Diagnostics.pagesParsed} page(s), skipped ${Diagnostics.pagesSkipped} page(s) and saved ${Diagnostics.applicationsSaved} application(s).`);
+    for (let thresholdExceeded of Diagnostics.thresholdsExceeded)
+        console.error(thresholdExceeded);
+    if (Diagnostics.thresholdsExceeded.length > 0)
+        process.exitCode = 1;
+    fs.writeFileSync("runreport.json", JSON.stringify(Diagnostics, null, 4) + "\n");
+    if (database === undefined)
+        return;
+    return new Promise((resolve, reject) => {
+        let sqlStatement = database.prepare("insert or replace into [runs] values (?, ?, ?, ?, ?, ?, ?, ?, ?)");
+        sqlStatement.run([
+            Diagnostics.runId,
+            Diagnostics.startedDate,
+            Diagnostics.finishedDate,
+            Diagnostics.status,
+            Diagnostics.documentsFetched,
+            Diagnostics.pagesParsed,
+            Diagnostics.pagesSkipped,
+            Diagnostics.applicationsSaved,
+            JSON.stringify(Diagnostics)
+        ], function (error, row) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                sqlStatement.finalize(); // releases any locks
+                resolve(row);
+            }
+        });
+    });
+}
+// The state of a PDF document.  A document left as "parsing" was interrupted (for example, by
+// morph.io terminating the process) and so is treated the same as a pending document.
+var DocumentStatus;
+(function (DocumentStatus) {
+    DocumentStatus["Pending"] = "pending";
+    DocumentStatus["Parsing"] = "parsing";
+    DocumentStatus["Parsed"] = "parsed";
+    DocumentStatus["Failed"] = "failed";
+})(DocumentStatus || (DocumentStatus = {}));
+// Reads all previously seen PDF documents from the database (keyed by URL).
+async function getDocuments(database) {
+    return new Promise((resolve, reject) => {
+        database.all("select * from [documents]", (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                let documents = {};
+                for (let row of rows)
+                    documents[row.url] = {
+                        url: row.url,
+                        firstSeenDate: row.date_first_seen,
+                        contentHash: row.content_hash,
+                        etag: row.etag,
+                        checkedDate: row.date_checked,
+                        parsedDate: row.date_parsed,
+                        applicationCount: row.application_count,
+                        status: row.status
+                    };
+                resolve(documents);
+            }
+        });
+    });
+}
+// Inserts or updates the details of a PDF document in the database.
+async function saveDocument(database, document) {
+    return new Promise((resolve, reject) => {
+        let sqlStatement = database.prepare("insert or replace into [documents] values (?, ?, ?, ?, ?, ?, ?, ?)");
+        sqlStatement.run([
+            document.url,
+            document.firstSeenDate,
+            document.contentHash,
+            document.etag,
+            document.checkedDate,
+            document.parsedDate,
+            document.applicationCount,
+            document.status
+        ], function (error, row) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else {
+                sqlStatement.finalize(); // releases any locks
+                resolve(row);
+            }
+        });
+    });
+}
+// Determines the order in which to process the PDF documents listed on the register page (which
+// are listed most recent first).  The most recent document is always checked first because new
+// applications are appended to it.  Then any documents not yet successfully parsed are processed
+// (in the order listed), followed by previously failed documents, and finally documents that were
+// already parsed (least recently checked first) so that any changes to them are eventually found.
+function orderDocuments(pdfUrls, documents) {
+    let pendingUrls = pdfUrls.filter(url => documents[url].status === DocumentStatus.Pending || documents[url].status === DocumentStatus.Parsing);
+    let failedUrls = pdfUrls.filter(url => documents[url].status === DocumentStatus.Failed);
+    let parsedUrls = pdfUrls.filter(url => documents[url].status === DocumentStatus.Parsed);
+    parsedUrls.sort((url1, url2) => (documents[url1].checkedDate || "").localeCompare(documents[url2].checkedDate || ""));
+    let orderedUrls = [];
+    if (documents[pdfUrls[0]].status === DocumentStatus.Parsed)
+        orderedUrls.push(pdfUrls[0]);
+    for (let url of pendingUrls.concat(failedUrls, parsedUrls))
+        if (!orderedUrls.includes(url))
+            orderedUrls.push(url);
+    return orderedUrls;
+}
 // The direction to search for an adjacent element.
 var Direction;
 (function (Direction) {
     Direction[Direction["Right"] = 0] = "Right";
     Direction[Direction["Down"] = 1] = "Down";
 })(Direction || (Direction = {}));
+// The type of value extracted for a field.
+var FieldType;
+(function (FieldType) {
+    FieldType["Text"] = "text";
+    FieldType["Date"] = "date";
+    FieldType["Currency"] = "currency";
+})(FieldType || (FieldType = {}));
+// How the value of a field is extracted: either the single element nearest to the label or all
+// elements in the region next to the label (for values that wrap over several lines or that are
+// split into several text runs).
+var Extraction;
+(function (Extraction) {
+    Extraction["Nearest"] = "nearest";
+    Extraction["Region"] = "region";
+})(Extraction || (Extraction = {}));
+// Reads the definitions of the fields to extract from each page of a PDF.
+function readFieldDefinitions() {
+    FieldDefinitions = JSON.parse(fs.readFileSync(path.join(__dirname, "fields.json")).toString());
+    for (let fieldDefinition of FieldDefinitions) {
+        if (!/^(right|down)$/.test(fieldDefinition.direction))
+            throw new Error(`The "${fieldDefinition.name}" field in fields.json has an unrecognised direction: ${fieldDefinition.direction}`);
+        if (![FieldType.Text, FieldType.Date, FieldType.Currency].includes(fieldDefinition.type))
+            throw new Error(`The "${fieldDefinition.name}" field in fields.json has an unrecognised type: ${fieldDefinition.type}`);
+        if (fieldDefinition.extraction === undefined)
+            fieldDefinition.extraction = Extraction.Nearest;
+        else if (![Extraction.Nearest, Extraction.Region].includes(fieldDefinition.extraction))
+            throw new Error(`The "${fieldDefinition.name}" field in fields.json has an unrecognised extraction: ${fieldDefinition.extraction}`);
+        if (fieldDefinition.stopLabels !== undefined && (!Array.isArray(fieldDefinition.stopLabels) || fieldDefinition.stopLabels.some(stopLabel => typeof stopLabel !== "string")))
+            throw new Error(`The "${fieldDefinition.name}" field in fields.json has invalid stop labels (expected an array of text).`);
+    }
+}
+// Converts the text found for a field to a value of the type configured for the field (resolving
+// to the configured default, or else an empty string or null, if there is no valid value).
+function convertFieldValue(fieldDefinition, text) {
+    text = (text === undefined) ? "" : text.trim();
+    if (fieldDefinition.type === FieldType.Date) {
+        let date = moment(text, "D/MM/YYYY", true); // allows the leading zero of the day to be omitted
+        return date.isValid() ? date.format("YYYY-MM-DD") : (fieldDefinition.default || "");
+    }
+    else if (fieldDefinition.type === FieldType.Currency) {
+        let amount = Number(text.replace(/[$,\s]/g, ""));
+        return (text.replace(/[$,\s]/g, "") === "" || isNaN(amount)) ? (fieldDefinition.default === undefined ? null : Number(fieldDefinition.default)) : amount;
+    }
+    return (text === "") ? (fieldDefinition.default || "") : text;
+}
 // Calculates the square of the Euclidean distance between two elements in the specified direction.
 function calculateDistance(element1, element2, direction) {
     if (direction === Direction.Right) {
@@ -88,28 +543,199 @@ function isOverlap(element1, element2, direction) {
         return element2.x < element1.x + element1.width && element2.x + element2.width > element1.x;
     return false;
 }
-// Finds the closest element either right or down from the element with the specified text.
-function findClosestElement(elements, text, direction) {
-    text = text.toLowerCase();
-    let matchingElement = elements.find(element => element.text.trim().toLowerCase().startsWith(text));
-    if (matchingElement === undefined)
-        return undefined;
+// Determines whether the element is a label with the specified text (ignoring case and any
+// trailing colon).
+function isLabel(element, text) {
+    return element.text.trim().toLowerCase().replace(/:$/, "") === text.toLowerCase();
+}
+// Finds the element with the specified text (or else, if allowed, the first element that starts
+// with the specified text).
+function findLabelElement(elements, text, matchPrefix) {
+    let matchingElement = elements.find(element => isLabel(element, text)); // prefer an exact match (so that "Decision" does not match "Decision Date")
+    if (matchingElement === undefined && matchPrefix)
+        matchingElement = elements.find(element => element.text.trim().toLowerCase().startsWith(text.toLowerCase()));
+    return matchingElement;
+}
+// Determines whether the element looks like a label that ends a region: text ending in a colon, or
+// text that matches one of the specified labels in the same way that findLabelElement matches a
+// label (exactly, or else starting with the label text if prefix matching is allowed).
+function isStopLabel(element, stopLabels) {
+    let text = element.text.trim().toLowerCase();
+    if (text.length > 1 && text.endsWith(":"))
+        return true;
+    return stopLabels.some(stopLabel => isLabel(element, stopLabel.text) || (stopLabel.matchPrefix && text.startsWith(stopLabel.text.toLowerCase())));
+}
+// Finds the closest element either right or down from the specified label element.  The label
+// element is never itself returned and neither is an element in the opposite direction (left or
+// up) or an element beyond the next label (see isStopLabel), so that a label without a value
+// results in undefined (rather than, say, the text of a label in the next column).
+function findClosestElement(elements, labelElement, direction, stopLabels) {
     let closestElement = { text: undefined, x: Number.MAX_VALUE, y: Number.MAX_VALUE, width: 0, height: 0 };
-    for (let element of elements)
-        if (isOverlap(matchingElement, element, direction) && calculateDistance(matchingElement, element, direction) < calculateDistance(matchingElement, closestElement, direction))
+    for (let element of elements) {
+        if (element === labelElement || !isOverlap(labelElement, element, direction))
+            continue;
+        let distance = calculateDistance(labelElement, element, direction);
+        if (distance < Number.MAX_VALUE && distance < calculateDistance(labelElement, closestElement, direction))
             closestElement = element;
-    return (closestElement.text === undefined) ? undefined : closestElement;
+    }
+    return (closestElement.text === undefined || isStopLabel(closestElement, stopLabels)) ? undefined : closestElement;
+}
+// Finds all elements in the region either right or down from the specified label element.  To the
+// right, the region starts at the closest element; down, the region starts immediately below the
+// label.  The region ends at the next label (see isStopLabel) or at a gap (more than one line
+// height below the previous line, or more than two character heights to the right of the previous
+// element on the same line).  The text of the elements is joined in reading order (top to bottom,
+// then left to right).
+function findRegionText(elements, labelElement, direction, stopLabels) {
+    let labelElements = elements.filter(element => element !== labelElement && isStopLabel(element, stopLabels));
+    let regionElements = [];
+    if (direction === Direction.Right) {
+        // Collect the elements on the same line, moving to the right until a label or a gap.
+        let closestElement = findClosestElement(elements, labelElement, direction, stopLabels);
+        if (closestElement === undefined)
+            return undefined;
+        let lineElements = elements.filter(element => element !== labelElement && isOverlap(labelElement, element, direction) && element.x >= closestElement.x);
+        lineElements.sort((element1, element2) => element1.x - element2.x);
+        for (let element of lineElements) {
+            if (labelElements.includes(element))
+                break;
+            let previousElement = regionElements[regionElements.length - 1];
+            if (previousElement !== undefined && element.x - (previousElement.x + previousElement.width) > 2 * previousElement.height)
+                break;
+            regionElements.push(element);
+        }
+    }
+    else if (direction === Direction.Down) {
+        // Collect the elements below the label (and not to the left of it), stopping before the
+        // next label to the right on the same line as the label (which starts another column).
+        let columnLimit = Number.MAX_VALUE;
+        for (let element of labelElements)
+            if (isOverlap(labelElement, element, Direction.Right) && element.x > labelElement.x)
+                columnLimit = Math.min(columnLimit, element.x);
+        let columnElements = elements.filter(element => element !== labelElement && element.y > labelElement.y + labelElement.height / 2 && element.x + element.width > labelElement.x && element.x < columnLimit);
+        columnElements.sort((element1, element2) => (element1.y - element2.y) || (element1.x - element2.x));
+        // Group the elements into lines, moving down until a line containing a label or a gap (the
+        // label itself is treated as the line above the first line).
+        let previousLine = [labelElement];
+        let line = [];
+        for (let element of columnElements.concat([undefined])) {
+            if (element !== undefined && line.length > 0 && isOverlap(line[0], element, Direction.Right)) {
+                line.push(element);
+                continue;
+            }
+            if (line.length > 0) {
+                if (line.some(lineElement => labelElements.includes(lineElement)))
+                    break;
+                let lineTop = Math.min(...line.map(lineElement => lineElement.y));
+                let previousLineBottom = Math.max(...previousLine.map(lineElement => lineElement.y + lineElement.height));
+                let previousLineHeight = Math.max(...previousLine.map(lineElement => lineElement.height));
+                if (lineTop - previousLineBottom > previousLineHeight)
+                    break;
+                line.sort((element1, element2) => element1.x - element2.x);
+                let gapIndex = line.findIndex((lineElement, index) => index > 0 && lineElement.x - (line[index - 1].x + line[index - 1].width) > 2 * line[index - 1].height);
+                if (gapIndex >= 0)
+                    line = line.slice(0, gapIndex); // ignore anything separated by a gap (such as another column)
+                regionElements.push(...line);
+                previousLine = line;
+            }
+            line = (element === undefined) ? [] : [element];
+        }
+    }
+    return regionElements.map(element => element.text.trim()).filter(elementText => elementText !== "").join(" ").replace(/\s\s+/g, " ");
+}
+// Removes stray glyphs (such as "ü" characters that appear in place of spaces, control characters
+// and other non-printable characters) and collapses whitespace.
+function cleanText(text) {
+    return (text === undefined) ? "" : text
+        .replace(/Ã¼/g, " ")
+        .replace(/ü/g, " ")
+        .replace(/[\u0000-\u001f\u007f-\u00a0\u00ad\u2000-\u200f\u2028-\u202f\ufeff\ufffd]/g, " ")
+        .replace(/\s\s+/g, " ")
+        .trim();
+}
+// Calculates the Levenshtein distance between two strings (the minimum number of single character
+// insertions, deletions and substitutions required to change one string into the other).
+function calculateEditDistance(text1, text2) {
+    let previousRow = Array.from({ length: text2.length + 1 }, (value, index) => index);
+    for (let index1 = 1; index1 <= text1.length; index1++) {
+        let row = [index1];
+        for (let index2 = 1; index2 <= text2.length; index2++)
+            row.push(Math.min(previousRow[index2] + 1, row[index2 - 1] + 1, previousRow[index2 - 1] + ((text1[index1 - 1] === text2[index2 - 1]) ? 0 : 1)));
+        previousRow = row;
+    }
+    return previousRow[text2.length];
+}
+// Finds the suburb name (including the state and post code) that matches the specified suburb text.
+// The match ignores case and any state and post code already present, also allows for the suburb
+// name being repeated (for example, "GOOLWA GOOLWA") and tolerates minor typographical errors
+// (one incorrect character in a short suburb name or two in a longer suburb name, as long as only
+// one known suburb name is that close).  Returns undefined if there is no match.
+function findSuburbName(suburbText) {
+    suburbText = suburbText.toUpperCase().replace(/\s+SA(\s+\d{4})?$/, "").trim();
+    let suburbName = SuburbNames[suburbText];
+    if (suburbName !== undefined)
+        return suburbName;
+    for (let knownSuburbName in SuburbNames)
+        if (knownSuburbName + " " + knownSuburbName === suburbText)
+            return SuburbNames[knownSuburbName]; // adds the state and postcode
+    let closestSuburbNames = [];
+    let closestDistance = (suburbText.length <= 6) ? 1 : 2; // the maximum tolerated distance
+    for (let knownSuburbName in SuburbNames) {
+        let distance = calculateEditDistance(suburbText, knownSuburbName);
+        if (distance < closestDistance) {
+            closestSuburbNames = [knownSuburbName];
+            closestDistance = distance;
+        }
+        else if (distance === closestDistance) {
+            closestSuburbNames.push(knownSuburbName);
+        }
+    }
+    return (closestSuburbNames.length === 1) ? SuburbNames[closestSuburbNames[0]] : undefined; // an ambiguous match is treated as no match
+}
+// Expands an abbreviated street type at the end of the street name (for example, "Cadell St"
+// becomes "Cadell Street"), matching the case of the original abbreviation.
+function standardiseStreetType(street) {
+    let words = street.split(" ");
+    if (words.length < 2)
+        return street;
+    let abbreviation = words[words.length - 1].replace(/\.$/, "");
+    let streetType = StreetTypes[abbreviation.toUpperCase()];
+    if (streetType === undefined)
+        return street;
+    if (abbreviation !== abbreviation.toUpperCase())
+        streetType = streetType.charAt(0) + streetType.substring(1).toLowerCase(); // for example, "Rd" becomes "Road"
+    words[words.length - 1] = streetType;
+    return words.join(" ");
+}
+// Constructs a normalised address from the house number, street and suburb text found in a PDF,
+// indicating whether the suburb was resolved to a known suburb name (if not then the original
+// suburb text is used, without any state or post code).
+function normaliseAddress(houseNumber, street, suburb) {
+    let address = cleanText(houseNumber);
+    street = standardiseStreetType(cleanText(street));
+    if (street !== "")
+        address += ((address === "") ? "" : " ") + street;
+    let suburbText = cleanText(suburb);
+    let suburbName = findSuburbName(suburbText);
+    address += ((address === "") ? "" : ", ") + ((suburbName === undefined) ? suburbText : suburbName); // fall back to whatever the original text was
+    return { address: address.trim(), isSuburbResolved: (suburbName !== undefined) };
+}
+// Writes the suburb text that could not be resolved in this run (so that suburbnames.txt can be
+// extended as needed).
+function writeUnresolvedSuburbs() {
+    let unresolvedSuburbs = Object.keys(UnresolvedSuburbs).sort().map(suburbText => ({ suburb: suburbText, applicationNumbers: UnresolvedSuburbs[suburbText] }));
+    fs.writeFileSync("unresolvedsuburbs.json", JSON.stringify(unresolvedSuburbs, null, 4) + "\n");
+    if (unresolvedSuburbs.length > 0)
+        console.log(`Wrote ${unresolvedSuburbs.length} unresolved suburb name(s) to: unresolvedsuburbs.json`);
 }
 // Reads and parses development application details from the specified PDF.
-async function parsePdf(url) {
+async function parsePdf(url, buffer) {
     let developmentApplications = [];
-    // Read the PDF.
-    let buffer = await request({ url: url, proxy: process.env.MORPH_PROXY, encoding: null });
-    await sleep(2000 + getRandom(0, 5) * 1000);
     // Parse the PDF.  Each page has details of a single application.
-    const pdf = await pdfjs.getDocument({ data: buffer });
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer) }); // pdfjs does not correctly read a Node.js Buffer
     for (let index = 0; index < pdf.numPages; index++) {
         let page = await pdf.getPage(index + 1);
+        Diagnostics.pagesParsed++;
         // Construct a text element for each item from the parsed PDF information.
         let textContent = await page.getTextContent();
         let viewport = await page.getViewport(1.0);
@@ -117,83 +743,94 @@ async function parsePdf(url) {
             let transform = pdfjs.Util.transform(viewport.transform, item.transform);
             return { text: item.str, x: transform[4], y: transform[5], width: item.width, height: item.height };
         });
-        // Find the application number, description, received date and address in the elements
-        // (based on proximity to known text such as "Dev App No").
-        let applicationNumberElement = findClosestElement(elements, "Application No", Direction.Right);
-        let descriptionElement = findClosestElement(elements, "Development Description", Direction.Down);
-        let receivedDateElement = findClosestElement(elements, "Application received", Direction.Right);
-        let houseNumberElement = findClosestElement(elements, "Property House No", Direction.Right);
-        let streetElement = findClosestElement(elements, "Property Street", Direction.Right);
-        let suburbElement = findClosestElement(elements, "Property Suburb", Direction.Right);
-        let address = "";
-        if (houseNumberElement !== undefined)
-            address += houseNumberElement.text.replace(/Ã¼/g, " ").replace(/ü/g, " ").replace(/\s\s+/g, " ").trim();
-        if (streetElement !== undefined)
-            address += ((address === "") ? "" : " ") + streetElement.text.replace(/Ã¼/g, " ").replace(/ü/g, " ").replace(/\s\s+/g, " ").trim();
-        if (suburbElement === undefined || suburbElement.text.trim() === "" || suburbElement.text.trim() === "0") {
-            let applicationNumber = (applicationNumberElement === undefined) ? "" : applicationNumberElement.text.trim();
-            console.log(`Ignoring application ${applicationNumber} because there is no suburb.`);
+        // Find the value of each configured field in the elements (based on proximity to known
+        // text such as "Application No").
+        let values = {};
+        let stopLabels = FieldDefinitions.map(fieldDefinition => ({ text: fieldDefinition.label, matchPrefix: fieldDefinition.matchPrefix === true }));
+        for (let fieldDefinition of FieldDefinitions) {
+            let direction = (fieldDefinition.direction === "down") ? Direction.Down : Direction.Right;
+            let labelElement = findLabelElement(elements, fieldDefinition.label, fieldDefinition.matchPrefix === true);
+            let fieldStopLabels = stopLabels.concat((fieldDefinition.stopLabels || []).map(stopLabel => ({ text: stopLabel, matchPrefix: fieldDefinition.matchPrefix === true })));
+            let text = undefined;
+            if (labelElement !== undefined && fieldDefinition.extraction === Extraction.Region) {
+                text = findRegionText(elements, labelElement, direction, fieldStopLabels);
+            }
+            else if (labelElement !== undefined) {
+                let element = findClosestElement(elements, labelElement, direction, fieldStopLabels);
+                text = (element === undefined) ? undefined : element.text;
+            }
+            values[fieldDefinition.name] = convertFieldValue(fieldDefinition, text);
+        }
+        let applicationNumber = (values["applicationNumber"] || "").replace(/\s/g, "");
+        let missingFieldDefinition = FieldDefinitions.find(fieldDefinition => fieldDefinition.required && (values[fieldDefinition.name] === "" || values[fieldDefinition.name] === null));
+        if (missingFieldDefinition !== undefined) {
+            recordSkippedPage(url, index + 1, applicationNumber, `no value for "${missingFieldDefinition.label}"`);
             continue;
         }
-        // Attempt to add the state and post code to the suburb.
-        let suburbText = suburbElement.text.replace(/Ã¼/g, " ").replace(/ü/g, " ").replace(/\s\s+/g, " ").trim();
-        let suburbName = SuburbNames[suburbText];
-        if (suburbName === undefined) {
-            for (let knownSuburbName in SuburbNames)
-                if (knownSuburbName + " " + knownSuburbName === suburbText) {
-                    suburbName = SuburbNames[knownSuburbName]; // adds the state and postcode
-                    break;
-                }
-            if (suburbName === undefined)
-                suburbName = suburbText; // fall back to whatever the original text was
+        if (values["suburb"] === undefined || cleanText(values["suburb"]) === "" || cleanText(values["suburb"]) === "0") {
+            recordSkippedPage(url, index + 1, applicationNumber, "no suburb");
+            continue;
+        }
+        let { address, isSuburbResolved } = normaliseAddress(values["houseNumber"], values["street"], values["suburb"]);
+        if (!isSuburbResolved) {
+            let suburbText = cleanText(values["suburb"]);
+            console.log(`    Could not resolve the suburb \"${suburbText}\" of application \"${applicationNumber}\" to a known suburb name.`);
+            UnresolvedSuburbs[suburbText] = (UnresolvedSuburbs[suburbText] || []).concat([applicationNumber]);
         }
-        address += ((address === "") ? "" : ", ") + suburbName;
-        address = address.trim();
         // Ensure that the development application details are valid.
-        if (applicationNumberElement === undefined || applicationNumberElement.text.trim() === "" || address === "") {
-            console.log("Ignoring application because there is either no application number or no address.");
+        if (applicationNumber === "" || address === "") {
+            recordSkippedPage(url, index + 1, applicationNumber, "either no application number or no address");
             continue;
         }
-        let receivedDate = moment.invalid();
-        if (receivedDateElement !== undefined)
-            receivedDate = moment(receivedDateElement.text.trim(), "D/MM/YYYY", true); // allows the leading zero of the day to be omitted
-        let description = "NO DESCRIPTION PROVIDED";
-        if (descriptionElement !== null && descriptionElement.text.trim() !== "")
-            description = descriptionElement.text.trim();
         let developmentApplication = {
-            applicationNumber: applicationNumberElement.text.trim().replace(/\s/g, ""),
+            applicationNumber: applicationNumber,
             address: address,
-            description: description,
             informationUrl: url,
             commentUrl: CommentUrl,
-            scrapeDate: moment().format("YYYY-MM-DD"),
-            receivedDate: receivedDate.isValid() ? receivedDate.format("YYYY-MM-DD") : ""
+            scrapeDate: moment().format("YYYY-MM-DD")
         };
+        for (let fieldDefinition of FieldDefinitions)
+            if (fieldDefinition.column !== undefined && fieldDefinition.name !== "applicationNumber")
+                developmentApplication[fieldDefinition.name] = values[fieldDefinition.name];
+        // Count the fields that fell back to their default values (such as an empty received date).
+        Diagnostics.applicationsParsed++;
+        for (let fieldDefinition of FieldDefinitions)
+            if (values[fieldDefinition.name] === convertFieldValue(fieldDefinition, undefined))
+                Diagnostics.defaultedFields[fieldDefinition.name] = (Diagnostics.defaultedFields[fieldDefinition.name] || 0) + 1;
         developmentApplications.push(developmentApplication);
     }
     return developmentApplications;
 }
-// Gets a random integer in the specified range: [minimum, maximum).
-function getRandom(minimum, maximum) {
-    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
+// Downloads the specified PDF (or reads it from the cache if it has not changed), returning its
+// contents and ETag.
+async function downloadPdf(url) {
+    let response = await fetch_1.fetchUrl(url);
+    if (response.isNotModified)
+        console.log(`The document has not changed since it was cached: ${url}`);
+    return { buffer: response.body, etag: response.etag };
 }
-// Pauses for the specified number of milliseconds.
-function sleep(milliseconds) {
-    return new Promise(resolve => setTimeout(resolve, milliseconds));
+// Parses a ratio (between zero and one) from an environment variable, using the specified default
+// if the variable is not set or is invalid.
+function getRatio(text, defaultRatio) {
+    let ratio = Number(text);
+    return (text === undefined || text.trim() === "" || isNaN(ratio) || ratio < 0 || ratio > 1) ? defaultRatio : ratio;
 }
-// Parses the development applications.
-async function main() {
-    // Ensure that the database exists.
-    let database = await initializeDatabase();
-    // Read the files containing all possible suburb names.
+// Reads the file containing all possible suburb names.
+function readSuburbNames() {
     SuburbNames = {};
-    for (let suburb of fs.readFileSync("suburbnames.txt").toString().replace(/\r/g, "").trim().split("\n"))
+    for (let suburb of fs.readFileSync(path.join(__dirname, "suburbnames.txt")).toString().replace(/\r/g, "").trim().split("\n"))
         SuburbNames[suburb.split(",")[0]] = suburb.split(",")[1];
-    // Retrieve the page that contains the links to the PDFs.
-    console.log(`Retrieving page: ${DevelopmentApplicationsUrl}`);
-    let body = await request({ url: DevelopmentApplicationsUrl, proxy: process.env.MORPH_PROXY });
+}
+// Reads the file containing street type abbreviations.
+function readStreetTypes() {
+    StreetTypes = {};
+    for (let streetType of fs.readFileSync(path.join(__dirname, "streettypes.txt")).toString().replace(/\r/g, "").trim().split("\n"))
+        StreetTypes[streetType.split(",")[0]] = streetType.split(",")[1];
+}
+// Finds the URLs of the PDFs linked from the development application register page (in the order
+// that they are listed, which is most recent first).
+function getPdfUrls(body) {
     let $ = cheerio.load(body);
-    await sleep(2000 + getRandom(0, 5) * 1000);
     let pdfUrls = [];
     for (let element of $("h3.generic-list__title a[href$='.pdf']").get()) {
         let pdfUrl = new urlparser.URL(element.attribs.href, DevelopmentApplicationsUrl).href;
@@ -201,30 +838,230 @@ async function main() {
             if (!pdfUrls.some(url => url === pdfUrl)) // avoid duplicates
                 pdfUrls.push(pdfUrl);
     }
+    return pdfUrls;
+}
+// Parses the command line arguments.  Any arguments other than the named options are treated as
+// local PDF files (or directories of PDF files) to be parsed offline.  For example,
+//
+//     node scraper.js --register register.html --output applications.json pdfs/
+//     node scraper.js --changes latest
+//     node scraper.js --migrate-dry-run
+//
+// The web site is scraped if no local PDF files (and no run to list changes for) are specified.
+function parseArguments(args) {
+    let options = { pdfPaths: [], registerPath: undefined, outputPath: "applications.json", expectedPath: undefined, changesRunId: undefined, isMigrationDryRun: false };
+    for (let index = 0; index < args.length; index++) {
+        if (args[index] === "--migrate-dry-run")
+            options.isMigrationDryRun = true;
+        else if (args[index] === "--changes")
+            options.changesRunId = (index + 1 < args.length && !args[index + 1].startsWith("--")) ? args[++index] : "latest";
+        else if (args[index] === "--register" && index + 1 < args.length)
+            options.registerPath = args[++index];
+        else if (args[index] === "--output" && index + 1 < args.length)
+            options.outputPath = args[++index];
+        else if (args[index] === "--expected" && index + 1 < args.length)
+            options.expectedPath = args[++index];
+        else if (args[index].startsWith("--"))
+            throw new Error(`Unrecognised or incomplete command line option: ${args[index]}`);
+        else
+            options.pdfPaths.push(args[index]);
+    }
+    return options;
+}
+// Expands any directories in the specified paths to the PDF files that they contain.
+function findPdfFiles(pdfPaths) {
+    let pdfFiles = [];
+    for (let pdfPath of pdfPaths) {
+        if (fs.statSync(pdfPath).isDirectory()) {
+            for (let fileName of fs.readdirSync(pdfPath).sort())
+                if (fileName.toLowerCase().endsWith(".pdf"))
+                    pdfFiles.push(path.join(pdfPath, fileName));
+        }
+        else {
+            pdfFiles.push(pdfPath);
+        }
+    }
+    return pdfFiles;
+}
+// Compares parsed development applications with previously saved (expected) output, returning a
+// description of each difference found.  The scrape date is excluded from the output so that the
+// comparison does not depend on the day that it is run.
+function compareOutput(actual, expected) {
+    let differences = [];
+    for (let expectedDocument of expected) {
+        let actualDocument = actual.find(document => document.file === expectedDocument.file);
+        if (actualDocument === undefined) {
+            differences.push(`Document ${expectedDocument.file} was not parsed.`);
+            continue;
+        }
+        for (let index = 0; index < Math.max(expectedDocument.applications.length, actualDocument.applications.length); index++) {
+            let expectedApplication = expectedDocument.applications[index] || {};
+            let actualApplication = actualDocument.applications[index] || {};
+            for (let field of Object.keys(Object.assign({}, expectedApplication, actualApplication)))
+                if (actualApplication[field] !== expectedApplication[field])
+                    differences.push(`Document ${expectedDocument.file}, application ${index + 1}, field "${field}": expected ${JSON.stringify(expectedApplication[field])} but found ${JSON.stringify(actualApplication[field])}.`);
+        }
+    }
+    for (let actualDocument of actual)
+        if (!expected.some(document => document.file === actualDocument.file))
+            differences.push(`Document ${actualDocument.file} has no expected output.`);
+    return differences;
+}
+// Parses local PDF files (optionally using a saved copy of the register page to determine the URL
+// of each PDF) and writes the development applications to a JSON file instead of the database.
+async function parseOffline(options) {
+    let pdfUrls = (options.registerPath === undefined) ? [] : getPdfUrls(fs.readFileSync(options.registerPath).toString());
+    let output = [];
+    for (let pdfFile of findPdfFiles(options.pdfPaths)) {
+        let fileName = path.basename(pdfFile);
+        let pdfUrl = pdfUrls.find(url => decodeURIComponent(path.posix.basename(new urlparser.URL(url).pathname)).toLowerCase() === fileName.toLowerCase());
+        if (pdfUrl === undefined)
+            pdfUrl = fileName; // fall back to the file name when the register page does not list the PDF
+        console.log(`Parsing file: ${pdfFile}`);
+        Diagnostics.documentsSelected++;
+        let developmentApplications = await parsePdf(pdfUrl, fs.readFileSync(pdfFile));
+        console.log(`Parsed ${developmentApplications.length} development application(s) from file: ${pdfFile}`);
+        Diagnostics.documentsFetched++;
+        Diagnostics.applicationsSaved += developmentApplications.length;
+        for (let developmentApplication of developmentApplications)
+            delete developmentApplication.scrapeDate;
+        output.push({ file: fileName, applications: developmentApplications });
+        if (global.gc)
+            global.gc();
+    }
+    fs.writeFileSync(options.outputPath, JSON.stringify(output, null, 4) + "\n");
+    writeUnresolvedSuburbs();
+    console.log(`Wrote ${output.reduce((count, document) => count + document.applications.length, 0)} development application(s) to: ${options.outputPath}`);
+    // Report any differences from the expected output (so that changes to the extraction logic
+    // can be checked against previously verified results).
+    if (options.expectedPath !== undefined) {
+        let differences = compareOutput(output, JSON.parse(fs.readFileSync(options.expectedPath).toString()));
+        for (let difference of differences)
+            console.log(difference);
+        if (differences.length > 0) {
+            console.log(`Found ${differences.length} difference(s) from the expected output in: ${options.expectedPath}`);
+            process.exitCode = 1;
+        }
+        else {
+            console.log(`The output matches the expected output in: ${options.expectedPath}`);
+        }
+    }
+    await finishRun(undefined);
+}
+// Retrieves the page that contains the links to the PDFs, records any PDFs that have not been seen
+// before and then retrieves and parses the PDFs (in order, up to the budget for the run), saving
+// the development applications to the database.
+async function scrapeDocuments(database) {
+    // Retrieve the page that contains the links to the PDFs.
+    console.log(`Retrieving page: ${DevelopmentApplicationsUrl}`);
+    let body = (await fetch_1.fetchUrl(DevelopmentApplicationsUrl)).body.toString();
+    let pdfUrls = getPdfUrls(body);
     if (pdfUrls.length === 0) {
         console.log("No PDF URLs were found on the page.");
+        Diagnostics.thresholdsExceeded.push(`No PDF URLs were found on the page: ${DevelopmentApplicationsUrl}`); // most likely the page layout has changed
         return;
     }
-    // Select the most recent PDF.  And randomly select one other PDF (avoid processing all PDFs
-    // at once because this may use too much memory, resulting in morph.io terminating the current
-    // process).
-    let selectedPdfUrls = [];
-    selectedPdfUrls.push(pdfUrls.shift());
-    if (pdfUrls.length > 0)
-        selectedPdfUrls.push(pdfUrls[getRandom(0, pdfUrls.length)]);
-    if (getRandom(0, 2) === 0)
-        selectedPdfUrls.reverse();
+    // Record any PDFs that have not been seen before.
+    let documents = await getDocuments(database);
+    for (let pdfUrl of pdfUrls) {
+        if (documents[pdfUrl] === undefined) {
+            documents[pdfUrl] = { url: pdfUrl, firstSeenDate: moment().format("YYYY-MM-DD"), contentHash: "", etag: "", checkedDate: "", parsedDate: "", applicationCount: 0, status: DocumentStatus.Pending };
+            await saveDocument(database, documents[pdfUrl]);
+        }
+    }
+    // Work through the PDFs in order, stopping once the budget for this run is used up (the next
+    // run then continues from where this run stopped).
+    let selectedPdfUrls = orderDocuments(pdfUrls, documents).slice(0, DocumentBudget);
+    console.log(`Selected ${selectedPdfUrls.length} of ${pdfUrls.length} document(s) to check in this run.`);
+    Diagnostics.documentsSelected = selectedPdfUrls.length;
     for (let pdfUrl of selectedPdfUrls) {
-        console.log(`Parsing document: ${pdfUrl}`);
-        let developmentApplications = await parsePdf(pdfUrl);
-        console.log(`Parsed ${developmentApplications.length} development application(s) from document: ${pdfUrl}`);
-        // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the
-        // current process being terminated by morph.io).
-        if (global.gc)
-            global.gc();
-        for (let developmentApplication of developmentApplications)
-            await insertRow(database, developmentApplication);
+        let document = documents[pdfUrl];
+        try {
+            console.log(`Retrieving document: ${pdfUrl}`);
+            let { buffer, etag } = await downloadPdf(pdfUrl);
+            Diagnostics.documentsFetched++;
+            let contentHash = crypto.createHash("sha256").update(buffer).digest("hex");
+            document.checkedDate = moment().format("YYYY-MM-DD HH:mm:ss");
+            document.etag = etag;
+            // Avoid parsing the PDF again if its content has not changed since it was last parsed.
+            if (document.status === DocumentStatus.Parsed && document.contentHash === contentHash && !ForceReparse) {
+                console.log(`Skipping unchanged document: ${pdfUrl}`);
+                Diagnostics.documentsUnchanged++;
+                await saveDocument(database, document);
+                continue;
+            }
+            // Record that parsing has started so that an interrupted run results in the document
+            // being parsed again in the next run.
+            document.contentHash = contentHash;
+            document.status = DocumentStatus.Parsing;
+            await saveDocument(database, document);
+            console.log(`Parsing document: ${pdfUrl}`);
+            let developmentApplications = await parsePdf(pdfUrl, buffer);
+            console.log(`Parsed ${developmentApplications.length} development application(s) from document: ${pdfUrl}`);
+            // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the
+            // current process being terminated by morph.io).
+            buffer = null;
+            if (global.gc)
+                global.gc();
+            for (let developmentApplication of developmentApplications) {
+                await insertRow(database, developmentApplication);
+                Diagnostics.applicationsSaved++;
+            }
+            document.parsedDate = moment().format("YYYY-MM-DD HH:mm:ss");
+            document.applicationCount = developmentApplications.length;
+            document.status = DocumentStatus.Parsed;
+            await saveDocument(database, document);
+        }
+        catch (error) {
+            console.error(`Failed to process document: ${pdfUrl}`);
+            console.error(error);
+            document.status = DocumentStatus.Failed;
+            Diagnostics.documentsFailed.push(pdfUrl);
+            await saveDocument(database, document);
+        }
+    }
+}
+// Parses the development applications.
+async function main() {
+    // Read the files containing all possible suburb names, street type abbreviations and the
+    // fields to extract.
+    readSuburbNames();
+    readStreetTypes();
+    readFieldDefinitions();
+    // Parse local PDF files instead of the web site if any were specified on the command line.
+    let options = parseArguments(process.argv.slice(2));
+    if (options.changesRunId === undefined && !options.isMigrationDryRun && options.pdfPaths.length > 0) {
+        await parseOffline(options);
+        return;
+    }
+    // Report the changes that would be made to the database schema if requested on the command
+    // line (without changing the database).
+    if (options.isMigrationDryRun) {
+        await initializeDatabase(true);
+        return;
+    }
+    // Ensure that the database exists (and has an up to date schema).
+    let database = await initializeDatabase();
+    // List the changes made by a previous run if requested on the command line.
+    if (options.changesRunId !== undefined) {
+        await listChanges(database, options.changesRunId);
+        return;
+    }
+    // Retrieve and parse the PDFs.  If the run fails part way through (for example, because the
+    // page that contains the links to the PDFs could not be retrieved) the failure is still
+    // recorded in the diagnostics for the run.
+    try {
+        await scrapeDocuments(database);
+    }
+    catch (error) {
+        Diagnostics.thresholdsExceeded.push(`The run failed: ${(error instanceof Error) ? error.message : error}`);
+        writeUnresolvedSuburbs();
+        await finishRun(database);
+        throw error;
     }
+    // Record any suburb names that could not be resolved and the diagnostics for the run.
+    writeUnresolvedSuburbs();
+    await finishRun(database);
 }
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsOEZBQThGO0FBQzlGLDZCQUE2QjtBQUM3QixFQUFFO0FBQ0YsZUFBZTtBQUNmLG1CQUFtQjtBQUVuQixZQUFZLENBQUM7O0FBRWIsbUNBQW1DO0FBQ25DLGtEQUFrRDtBQUNsRCxtQ0FBbUM7QUFDbkMsaUNBQWlDO0FBQ2pDLGlDQUFpQztBQUNqQyxvQ0FBb0M7QUFDcEMseUJBQXlCO0FBRXpCLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztBQUVsQixNQUFNLDBCQUEwQixHQUFHLGdGQUFnRixDQUFDO0FBQ3BILE1BQU0sVUFBVSxHQUFHLG1DQUFtQyxDQUFDO0FBSXZELDBCQUEwQjtBQUUxQixJQUFJLFdBQVcsR0FBRyxJQUFJLENBQUM7QUFFdkIsOEJBQThCO0FBRTlCLEtBQUssVUFBVSxrQkFBa0I7SUFDN0IsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuQyxJQUFJLFFBQVEsR0FBRyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDbkQsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUU7WUFDcEIsUUFBUSxDQUFDLEdBQUcsQ0FBQywyQkFBMkIsRUFBRSxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsRUFBRTtnQkFDdEQsSUFBSSxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLElBQUksS0FBSyxnQkFBZ0IsQ0FBQztvQkFDL0MsUUFBUSxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDLENBQUUsd0VBQXdFO2dCQUNoSCxRQUFRLENBQUMsR0FBRyxDQUFDLDhMQUE4TCxDQUFDLENBQUM7Z0JBQzdNLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUN0QixDQUFDLENBQUMsQ0FBQztRQUNQLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsOERBQThEO0FBRTlELEtBQUssVUFBVSxTQUFTLENBQUMsUUFBUSxFQUFFLHNCQUFzQjtJQUNyRCxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25DLElBQUksWUFBWSxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsNERBQTRELENBQUMsQ0FBQztRQUNsRyxZQUFZLENBQUMsR0FBRyxDQUFDO1lBQ2Isc0JBQXNCLENBQUMsaUJBQWlCO1lBQ3hDLHNCQUFzQixDQUFDLE9BQU87WUFDOUIsc0JBQXNCLENBQUMsV0FBVztZQUNsQyxzQkFBc0IsQ0FBQyxjQUFjO1lBQ3JDLHNCQUFzQixDQUFDLFVBQVU7WUFDakMsc0JBQXNCLENBQUMsVUFBVTtZQUNqQyxzQkFBc0IsQ0FBQyxZQUFZO1NBQ3RDLEVBQUUsVUFBUyxLQUFLLEVBQUUsR0FBRztZQUNsQixJQUFJLEtBQUssRUFBRTtnQkFDUCxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNyQixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDakI7aUJBQU07Z0JBQ0gsT0FBTyxDQUFDLEdBQUcsQ0FBQywyQkFBMkIsc0JBQXNCLENBQUMsaUJBQWlCLHFCQUFxQixzQkFBc0IsQ0FBQyxPQUFPLHdCQUF3QixzQkFBc0IsQ0FBQyxXQUFXLHFCQUFxQixDQUFDLENBQUM7Z0JBQ25OLFlBQVksQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFFLHFCQUFxQjtnQkFDL0MsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQ2hCO1FBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFZRCxtREFBbUQ7QUFFbkQsSUFBSyxTQUdKO0FBSEQsV0FBSyxTQUFTO0lBQ1YsMkNBQUssQ0FBQTtJQUNMLHlDQUFJLENBQUE7QUFDUixDQUFDLEVBSEksU0FBUyxLQUFULFNBQVMsUUFHYjtBQUVELG1HQUFtRztBQUVuRyxTQUFTLGlCQUFpQixDQUFDLFFBQWlCLEVBQUUsUUFBaUIsRUFBRSxTQUFvQjtJQUNqRixJQUFJLFNBQVMsS0FBSyxTQUFTLENBQUMsS0FBSyxFQUFFO1FBQy9CLElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO1FBQ3JGLElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztRQUNwRSxJQUFJLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxHQUFHLENBQUMsRUFBRyxrQ0FBa0M7WUFDN0UsT0FBTyxNQUFNLENBQUMsU0FBUyxDQUFDO1FBQzVCLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztLQUN4RztTQUFNLElBQUksU0FBUyxLQUFLLFNBQVMsQ0FBQyxJQUFJLEVBQUU7UUFDckMsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxHQUFHLENBQUMsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDckYsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFDMUcsSUFBSSxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUcsa0NBQWtDO1lBQzlFLE9BQU8sTUFBTSxDQUFDLFNBQVMsQ0FBQztRQUM1QixPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7S0FDeEc7SUFDRCxPQUFPLE1BQU0sQ0FBQyxTQUFTLENBQUM7QUFDNUIsQ0FBQztBQUVELDJGQUEyRjtBQUUzRixTQUFTLFNBQVMsQ0FBQyxRQUFpQixFQUFFLFFBQWlCLEVBQUUsU0FBb0I7SUFDekUsSUFBSSxTQUFTLEtBQUssU0FBUyxDQUFDLEtBQUs7UUFDN0IsT0FBTyxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sSUFBSSxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLEdBQUcsUUFBUSxDQUFDLENBQUMsQ0FBQztTQUM3RixJQUFJLFNBQVMsS0FBSyxTQUFTLENBQUMsSUFBSTtRQUNqQyxPQUFPLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxJQUFJLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQ2hHLE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUFFRCwyRkFBMkY7QUFFM0YsU0FBUyxrQkFBa0IsQ0FBQyxRQUFtQixFQUFFLElBQVksRUFBRSxTQUFvQjtJQUMvRSxJQUFJLEdBQUcsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQzFCLElBQUksZUFBZSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBQ25HLElBQUksZUFBZSxLQUFLLFNBQVM7UUFDN0IsT0FBTyxTQUFTLENBQUM7SUFFckIsSUFBSSxjQUFjLEdBQVksRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0lBQ2pILEtBQUssSUFBSSxPQUFPLElBQUksUUFBUTtRQUN4QixJQUFJLFNBQVMsQ0FBQyxlQUFlLEVBQUUsT0FBTyxFQUFFLFNBQVMsQ0FBQyxJQUFJLGlCQUFpQixDQUFDLGVBQWUsRUFBRSxPQUFPLEVBQUUsU0FBUyxDQUFDLEdBQUcsaUJBQWlCLENBQUMsZUFBZSxFQUFFLGNBQWMsRUFBRSxTQUFTLENBQUM7WUFDeEssY0FBYyxHQUFHLE9BQU8sQ0FBQztJQUVqQyxPQUFPLENBQUMsY0FBYyxDQUFDLElBQUksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxjQUFjLENBQUM7QUFDNUUsQ0FBQztBQUVELDJFQUEyRTtBQUUzRSxLQUFLLFVBQVUsUUFBUSxDQUFDLEdBQVc7SUFDL0IsSUFBSSx1QkFBdUIsR0FBRyxFQUFFLENBQUM7SUFFakMsZ0JBQWdCO0lBRWhCLElBQUksTUFBTSxHQUFHLE1BQU0sT0FBTyxDQUFDLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7SUFDekYsTUFBTSxLQUFLLENBQUMsSUFBSSxHQUFHLFNBQVMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7SUFFM0MsaUVBQWlFO0lBRWpFLE1BQU0sR0FBRyxHQUFHLE1BQU0sS0FBSyxDQUFDLFdBQVcsQ0FBQyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO0lBRXRELEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxHQUFHLENBQUMsUUFBUSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQy9DLElBQUksSUFBSSxHQUFHLE1BQU0sR0FBRyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFFeEMsMEVBQTBFO1FBRTFFLElBQUksV0FBVyxHQUFHLE1BQU0sSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO1FBQzlDLElBQUksUUFBUSxHQUFHLE1BQU0sSUFBSSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUMzQyxJQUFJLFFBQVEsR0FBYyxXQUFXLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNuRCxJQUFJLFNBQVMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUN6RSxPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDeEcsQ0FBQyxDQUFDLENBQUE7UUFFRixzRkFBc0Y7UUFDdEYsMkRBQTJEO1FBRTNELElBQUksd0JBQXdCLEdBQUcsa0JBQWtCLENBQUMsUUFBUSxFQUFFLGdCQUFnQixFQUFFLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUMvRixJQUFJLGtCQUFrQixHQUFHLGtCQUFrQixDQUFDLFFBQVEsRUFBRSx5QkFBeUIsRUFBRSxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDakcsSUFBSSxtQkFBbUIsR0FBRyxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsc0JBQXNCLEVBQUUsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ2hHLElBQUksa0JBQWtCLEdBQUcsa0JBQWtCLENBQUMsUUFBUSxFQUFFLG1CQUFtQixFQUFFLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUM1RixJQUFJLGFBQWEsR0FBRyxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsaUJBQWlCLEVBQUUsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3JGLElBQUksYUFBYSxHQUFHLGtCQUFrQixDQUFDLFFBQVEsRUFBRSxpQkFBaUIsRUFBRSxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7UUFFckYsSUFBSSxPQUFPLEdBQUcsRUFBRSxDQUFDO1FBQ2pCLElBQUksa0JBQWtCLEtBQUssU0FBUztZQUNoQyxPQUFPLElBQUksa0JBQWtCLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1FBQzVHLElBQUksYUFBYSxLQUFLLFNBQVM7WUFDM0IsT0FBTyxJQUFJLENBQUMsQ0FBQyxPQUFPLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsYUFBYSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUN2SSxJQUFJLGFBQWEsS0FBSyxTQUFTLElBQUksYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxHQUFHLEVBQUU7WUFDdEcsSUFBSSxpQkFBaUIsR0FBRyxDQUFDLHdCQUF3QixLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLHdCQUF3QixDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUM3RyxPQUFPLENBQUMsR0FBRyxDQUFDLHdCQUF3QixpQkFBaUIsOEJBQThCLENBQUMsQ0FBQztZQUNyRixTQUFTO1NBQ1o7UUFFRCx3REFBd0Q7UUFFeEQsSUFBSSxVQUFVLEdBQUcsYUFBYSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUN6RyxJQUFJLFVBQVUsR0FBRyxXQUFXLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDekMsSUFBSSxVQUFVLEtBQUssU0FBUyxFQUFFO1lBQzFCLEtBQUssSUFBSSxlQUFlLElBQUksV0FBVztnQkFDbkMsSUFBSSxlQUFlLEdBQUcsR0FBRyxHQUFHLGVBQWUsS0FBSyxVQUFVLEVBQUU7b0JBQ3hELFVBQVUsR0FBRyxXQUFXLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBRSw4QkFBOEI7b0JBQzFFLE1BQU07aUJBQ1Q7WUFDTCxJQUFJLFVBQVUsS0FBSyxTQUFTO2dCQUN4QixVQUFVLEdBQUcsVUFBVSxDQUFDLENBQUUsOENBQThDO1NBQy9FO1FBRUQsT0FBTyxJQUFJLENBQUMsQ0FBQyxPQUFPLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsVUFBVSxDQUFDO1FBQ3ZELE9BQU8sR0FBRyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUM7UUFFekIsNkRBQTZEO1FBRTdELElBQUksd0JBQXdCLEtBQUssU0FBUyxJQUFJLHdCQUF3QixDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksT0FBTyxLQUFLLEVBQUUsRUFBRTtZQUN6RyxPQUFPLENBQUMsR0FBRyxDQUFDLG1GQUFtRixDQUFDLENBQUM7WUFDakcsU0FBUztTQUNaO1FBRUQsSUFBSSxZQUFZLEdBQUcsTUFBTSxDQUFDLE9BQU8sRUFBRSxDQUFDO1FBQ3BDLElBQUksbUJBQW1CLEtBQUssU0FBUztZQUNqQyxZQUFZLEdBQUcsTUFBTSxDQUFDLG1CQUFtQixDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRSxXQUFXLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBRSxtREFBbUQ7UUFFbkksSUFBSSxXQUFXLEdBQUcseUJBQXlCLENBQUM7UUFDNUMsSUFBSSxrQkFBa0IsS0FBSyxJQUFJLElBQUksa0JBQWtCLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUU7WUFDcEUsV0FBVyxHQUFHLGtCQUFrQixDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUVqRCxJQUFJLHNCQUFzQixHQUFHO1lBQ3pCLGlCQUFpQixFQUFFLHdCQUF3QixDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQztZQUMxRSxPQUFPLEVBQUUsT0FBTztZQUNoQixXQUFXLEVBQUUsV0FBVztZQUN4QixjQUFjLEVBQUUsR0FBRztZQUNuQixVQUFVLEVBQUUsVUFBVTtZQUN0QixVQUFVLEVBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQztZQUN6QyxZQUFZLEVBQUUsWUFBWSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFO1NBQ2hGLENBQUE7UUFFRCx1QkFBdUIsQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsQ0FBQztLQUN4RDtJQUVELE9BQU8sdUJBQXVCLENBQUM7QUFDbkMsQ0FBQztBQUVELG9FQUFvRTtBQUVwRSxTQUFTLFNBQVMsQ0FBQyxPQUFlLEVBQUUsT0FBZTtJQUMvQyxPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0FBQ3ZHLENBQUM7QUFFRCxtREFBbUQ7QUFFbkQsU0FBUyxLQUFLLENBQUMsWUFBWTtJQUN2QixPQUFPLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDO0FBQ3JFLENBQUM7QUFFRCx1Q0FBdUM7QUFFdkMsS0FBSyxVQUFVLElBQUk7SUFDZixtQ0FBbUM7SUFFbkMsSUFBSSxRQUFRLEdBQUcsTUFBTSxrQkFBa0IsRUFBRSxDQUFDO0lBRTFDLHVEQUF1RDtJQUV2RCxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLEtBQUssSUFBSSxNQUFNLElBQUksRUFBRSxDQUFDLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQztRQUNsRyxXQUFXLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFN0QseURBQXlEO0lBRXpELE9BQU8sQ0FBQyxHQUFHLENBQUMsb0JBQW9CLDBCQUEwQixFQUFFLENBQUMsQ0FBQztJQUU5RCxJQUFJLElBQUksR0FBRyxNQUFNLE9BQU8sQ0FBQyxFQUFFLEdBQUcsRUFBRSwwQkFBMEIsRUFBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0lBQzlGLElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDM0IsTUFBTSxLQUFLLENBQUMsSUFBSSxHQUFHLFNBQVMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7SUFFM0MsSUFBSSxPQUFPLEdBQWEsRUFBRSxDQUFDO0lBQzNCLEtBQUssSUFBSSxPQUFPLElBQUksQ0FBQyxDQUFDLHdDQUF3QyxDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUU7UUFDbkUsSUFBSSxNQUFNLEdBQUcsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLDBCQUEwQixDQUFDLENBQUMsSUFBSSxDQUFDO1FBQ3RGLElBQUksTUFBTSxDQUFDLFdBQVcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUM7WUFDckMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssTUFBTSxDQUFDLEVBQUcsbUJBQW1CO2dCQUMxRCxPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ2hDO0lBRUQsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUN0QixPQUFPLENBQUMsR0FBRyxDQUFDLHFDQUFxQyxDQUFDLENBQUM7UUFDbkQsT0FBTztLQUNWO0lBRUQsNEZBQTRGO0lBQzVGLDhGQUE4RjtJQUM5RixZQUFZO0lBRVosSUFBSSxlQUFlLEdBQWEsRUFBRSxDQUFDO0lBQ25DLGVBQWUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUM7SUFDdEMsSUFBSSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUM7UUFDbEIsZUFBZSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2hFLElBQUksU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDO1FBQ3JCLGVBQWUsQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUU5QixLQUFLLElBQUksTUFBTSxJQUFJLGVBQWUsRUFBRTtRQUNoQyxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBQzNDLElBQUksdUJBQXVCLEdBQUcsTUFBTSxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDckQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLHVCQUF1QixDQUFDLE1BQU0sOENBQThDLE1BQU0sRUFBRSxDQUFDLENBQUM7UUFFNUcsbUZBQW1GO1FBQ25GLGlEQUFpRDtRQUVqRCxJQUFJLE1BQU0sQ0FBQyxFQUFFO1lBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO1FBRWhCLEtBQUssSUFBSSxzQkFBc0IsSUFBSSx1QkFBdUI7WUFDdEQsTUFBTSxTQUFTLENBQUMsUUFBUSxFQUFFLHNCQUFzQixDQUFDLENBQUM7S0FDekQ7QUFDTCxDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMifQ==
+main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsOEZBQThGO0FBQzlGLDZCQUE2QjtBQUM3QixFQUFFO0FBQ0YsZUFBZTtBQUNmLG1CQUFtQjtBQUVuQixZQUFZLENBQUM7O0FBRWIsbUNBQW1DO0FBQ25DLG1DQUFtQztBQUNuQyxpQ0FBaUM7QUFDakMsaUNBQWlDO0FBQ2pDLG9DQUFvQztBQUNwQyx5QkFBeUI7QUFDekIsaUNBQWlDO0FBQ2pDLDZCQUE2QjtBQUM3QixtQ0FBbUM7QUFFbkMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO0FBRWxCLE1BQU0sMEJBQTBCLEdBQUcsZ0ZBQWdGLENBQUM7QUFDcEgsTUFBTSxVQUFVLEdBQUcsbUNBQW1DLENBQUM7QUFFdkQsaUdBQWlHO0FBQ2pHLDJGQUEyRjtBQUMzRiw0RkFBNEY7QUFFNUYsTUFBTSxjQUFjLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztBQUNuRixNQUFNLFlBQVksR0FBRyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLEtBQUssU0FBUyxJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLEtBQUssRUFBRSxDQUFDLENBQUM7QUFFL0csMkZBQTJGO0FBRTNGLE1BQU0sS0FBSyxHQUFHLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO0FBRXJELCtGQUErRjtBQUMvRixnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRixnREFBZ0Q7QUFFaEQsTUFBTSx1QkFBdUIsR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQ0FBZ0MsRUFBRSxHQUFHLENBQUMsQ0FBQztBQUM1RixNQUFNLDBCQUEwQixHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLG1DQUFtQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO0FBQ2xHLE1BQU0sMEJBQTBCLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUNBQW1DLEVBQUUsR0FBRyxDQUFDLENBQUM7QUFJbEcsMEJBQTBCO0FBRTFCLElBQUksV0FBVyxHQUFHLElBQUksQ0FBQztBQUV2QixnREFBZ0Q7QUFFaEQsSUFBSSxXQUFXLEdBQW1CO0lBQzlCLEtBQUssRUFBRSxLQUFLO0lBQ1osV0FBVyxFQUFFLEtBQUs7SUFDbEIsWUFBWSxFQUFFLFNBQVM7SUFDdkIsTUFBTSxFQUFFLFNBQVM7SUFDakIsaUJBQWlCLEVBQUUsQ0FBQztJQUNwQixnQkFBZ0IsRUFBRSxDQUFDO0lBQ25CLGtCQUFrQixFQUFFLENBQUM7SUFDckIsZUFBZSxFQUFFLEVBQUU7SUFDbkIsV0FBVyxFQUFFLENBQUM7SUFDZCxZQUFZLEVBQUUsQ0FBQztJQUNmLGtCQUFrQixFQUFFLENBQUM7SUFDckIsaUJBQWlCLEVBQUUsQ0FBQztJQUNwQixZQUFZLEVBQUUsRUFBRTtJQUNoQixlQUFlLEVBQUUsRUFBRTtJQUNuQixrQkFBa0IsRUFBRSxFQUFFO0NBQ3pCLENBQUM7QUFFRixpR0FBaUc7QUFFakcsSUFBSSxXQUFXLEdBQUcsSUFBSSxDQUFDO0FBRXZCLGlHQUFpRztBQUNqRyxpREFBaUQ7QUFFakQsSUFBSSxpQkFBaUIsR0FBdUMsRUFBRSxDQUFDO0FBRS9ELHlFQUF5RTtBQUV6RSxJQUFJLGdCQUFnQixHQUFzQixJQUFJLENBQUM7QUFFL0MsaUdBQWlHO0FBQ2pHLG1CQUFtQjtBQUVuQixLQUFLLFVBQVUsY0FBYyxDQUFDLFFBQVEsRUFBRSxLQUFhO0lBQ2pELE9BQU8sSUFBSSxPQUFPLENBQVcsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDN0MsUUFBUSxDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsS0FBSyxJQUFJLEVBQUUsQ0FBQyxLQUFLLEVBQUUsSUFBSSxFQUFFLEVBQUU7WUFDMUQsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCO2lCQUFNO2dCQUNILE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7YUFDdEM7UUFDTCxDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELGtHQUFrRztBQUNsRyx5Q0FBeUM7QUFFekMsS0FBSyxVQUFVLGdCQUFnQixDQUFDLFFBQVE7SUFDcEMsT0FBTyxJQUFJLE9BQU8sQ0FBUyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUMzQyxRQUFRLENBQUMsR0FBRyxDQUFDLHFCQUFxQixFQUFFLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFO1lBQy9DLElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjtpQkFBTTtnQkFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUFDO2FBQzdCO1FBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCx1Q0FBdUM7QUFFdkMsS0FBSyxVQUFVLFVBQVUsQ0FBQyxRQUFRLEVBQUUsR0FBVztJQUMzQyxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25DLFFBQVEsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLEtBQUssQ0FBQyxFQUFFO1lBQ3ZCLElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjtpQkFBTTtnQkFDSCxPQUFPLEVBQUUsQ0FBQzthQUNiO1FBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFZRCwwREFBMEQ7QUFFMUQsTUFBTSxzQkFBc0IsR0FBRyxDQUFFLG1CQUFtQixFQUFFLFNBQVMsRUFBRSxhQUFhLEVBQUUsVUFBVSxFQUFFLGFBQWEsRUFBRSxjQUFjLEVBQUUsZUFBZSxDQUFFLENBQUM7QUFFN0ksOEZBQThGO0FBQzlGLGtHQUFrRztBQUNsRyxvR0FBb0c7QUFDcEcsbUdBQW1HO0FBQ25HLDRGQUE0RjtBQUU1RixNQUFNLFVBQVUsR0FBZ0I7SUFDNUI7UUFDSSxPQUFPLEVBQUUsQ0FBQztRQUNWLFdBQVcsRUFBRSxnSEFBZ0g7UUFDN0gsYUFBYSxFQUFFLEtBQUssRUFBQyxRQUFRLEVBQUMsRUFBRTtZQUM1QixJQUFJLGVBQWUsR0FBRyw4TEFBOEwsQ0FBQztZQUNyTixJQUFJLFdBQVcsR0FBRyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLENBQUM7WUFDekQsSUFBSSxDQUFDLFdBQVcsQ0FBQyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDO2dCQUNoRixPQUFPLENBQUUsZUFBZSxDQUFFLENBQUM7WUFDL0IsSUFBSSxtQkFBbUIsR0FBRyxzQkFBc0IsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7WUFDeEcsSUFBSSxPQUFPLEdBQUcsbUJBQW1CLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsSUFBSSxVQUFVLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUNsRixPQUFPO2dCQUNILHlDQUF5QztnQkFDekMsZUFBZTtnQkFDZix1QkFBdUIsT0FBTyxZQUFZLE9BQU8sa0JBQWtCO2dCQUNuRSx1QkFBdUI7YUFDMUIsQ0FBQztRQUNOLENBQUM7S0FDSjtJQUNEO1FBQ0ksT0FBTyxFQUFFLENBQUM7UUFDVixXQUFXLEVBQUUsNEJBQTRCO1FBQ3pDLGFBQWEsRUFBRSxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUUsQ0FBQztZQUM3QixnTkFBZ047U0FDbk47S0FDSjtJQUNEO1FBQ0ksT0FBTyxFQUFFLENBQUM7UUFDVixXQUFXLEVBQUUsd0NBQXdDO1FBQ3JELGFBQWEsRUFBRSxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUUsQ0FBQztZQUM3QixzTEFBc0w7U0FDekw7S0FDSjtJQUNEO1FBQ0ksT0FBTyxFQUFFLENBQUM7UUFDVixXQUFXLEVBQUUsdUJBQXVCO1FBQ3BDLGFBQWEsRUFBRSxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUUsQ0FBQztZQUM3QixvUEFBb1A7U0FDdlA7S0FDSjtDQUNKLENBQUM7QUFFRixtR0FBbUc7QUFDbkcsa0dBQWtHO0FBQ2xHLCtDQUErQztBQUUvQyxLQUFLLFVBQVUsZUFBZSxDQUFDLFFBQVEsRUFBRSxRQUFpQjtJQUN0RCxJQUFJLGFBQWEsR0FBRyxNQUFNLGdCQUFnQixDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ3JELElBQUksaUJBQWlCLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxPQUFPLEdBQUcsYUFBYSxDQUFDLENBQUM7SUFDMUYsSUFBSSxpQkFBaUIsQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLFFBQVE7UUFDMUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyw4Q0FBOEMsYUFBYSxJQUFJLENBQUMsQ0FBQztJQUVqRixLQUFLLElBQUksU0FBUyxJQUFJLGlCQUFpQixFQUFFO1FBQ3JDLElBQUksVUFBVSxHQUFHLE1BQU0sU0FBUyxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUN6RCxJQUFJLFFBQVEsRUFBRTtZQUNWLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0RBQWdELFNBQVMsQ0FBQyxPQUFPLEtBQUssU0FBUyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7WUFDM0csS0FBSyxJQUFJLFNBQVMsSUFBSSxVQUFVO2dCQUM1QixPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sU0FBUyxHQUFHLENBQUMsQ0FBQztTQUN4QzthQUFNO1lBQ0gsT0FBTyxDQUFDLEdBQUcsQ0FBQyw0Q0FBNEMsU0FBUyxDQUFDLE9BQU8sS0FBSyxTQUFTLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztZQUN2RyxNQUFNLFVBQVUsQ0FBQyxRQUFRLEVBQUUsQ0FBRSxtQkFBbUIsQ0FBRSxDQUFDLE1BQU0sQ0FBQyxVQUFVLEVBQUUsQ0FBRSx5QkFBeUIsU0FBUyxDQUFDLE9BQU8sRUFBRSxFQUFFLFFBQVEsQ0FBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7U0FDbEo7S0FDSjtJQUVELDZGQUE2RjtJQUM3RiwyRkFBMkY7SUFFM0YsSUFBSSxXQUFXLEdBQUcsTUFBTSxjQUFjLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQ3pELElBQUksV0FBVyxDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksUUFBUTtRQUNwQyxXQUFXLEdBQUcsc0JBQXNCLENBQUMsQ0FBRSxxRUFBcUU7SUFDaEgsS0FBSyxJQUFJLGVBQWUsSUFBSSxnQkFBZ0IsRUFBRTtRQUMxQyxJQUFJLGVBQWUsQ0FBQyxNQUFNLEtBQUssU0FBUyxJQUFJLFdBQVcsQ0FBQyxRQUFRLENBQUMsZUFBZSxDQUFDLE1BQU0sQ0FBQztZQUNwRixTQUFTO1FBQ2IsSUFBSSxTQUFTLEdBQUcsa0NBQWtDLGVBQWUsQ0FBQyxNQUFNLEtBQUssQ0FBQyxlQUFlLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUMvSSxJQUFJLFFBQVEsRUFBRTtZQUNWLE9BQU8sQ0FBQyxHQUFHLENBQUMsaURBQWlELGVBQWUsQ0FBQyxLQUFLLFVBQVUsQ0FBQyxDQUFDO1lBQzlGLE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxTQUFTLEdBQUcsQ0FBQyxDQUFDO1NBQ3BDO2FBQU07WUFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLDhDQUE4QyxlQUFlLENBQUMsS0FBSyxVQUFVLENBQUMsQ0FBQztZQUMzRixNQUFNLFVBQVUsQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLENBQUM7U0FDekM7S0FDSjtBQUNMLENBQUM7QUFFRCwwRkFBMEY7QUFFMUYsS0FBSyxVQUFVLGtCQUFrQixDQUFDLFdBQW9CLEtBQUs7SUFDdkQsSUFBSSxRQUFRLEdBQUcsUUFBUSxDQUFDLENBQUM7UUFDckIsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsVUFBVSxFQUFFLE9BQU8sQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLENBQUUsdUNBQXVDO1FBQ2pKLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxhQUFhLENBQUMsQ0FBQztJQUN4QyxNQUFNLGVBQWUsQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUM7SUFDMUMsT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQUVELDJGQUEyRjtBQUMzRixrR0FBa0c7QUFDbEcsZUFBZTtBQUVmLFNBQVMsY0FBYztJQUNuQixJQUFJLFdBQVcsR0FBRztRQUNkLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFO1FBQzFDLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsZ0JBQWdCLEVBQUU7UUFDbEQsRUFBRSxNQUFNLEVBQUUsYUFBYSxFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUU7UUFDakQsRUFBRSxNQUFNLEVBQUUsY0FBYyxFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUU7S0FDckQsQ0FBQztJQUNGLEtBQUssSUFBSSxlQUFlLElBQUksZ0JBQWdCO1FBQ3hDLElBQUksZUFBZSxDQUFDLE1BQU0sS0FBSyxTQUFTO1lBQ3BDLFdBQVcsQ0FBQyxJQUFJLENBQUMsRUFBRSxNQUFNLEVBQUUsZUFBZSxDQUFDLE1BQU0sRUFBRSxRQUFRLEVBQUUsZUFBZSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7SUFDN0YsT0FBTyxXQUFXLENBQUM7QUFDdkIsQ0FBQztBQUVELGlHQUFpRztBQUNqRyw0QkFBNEI7QUFFNUIsS0FBSyxVQUFVLE1BQU0sQ0FBQyxRQUFRLEVBQUUsaUJBQXlCO0lBQ3JELE9BQU8sSUFBSSxPQUFPLENBQU0sQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDeEMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxvREFBb0QsRUFBRSxDQUFFLGlCQUFpQixDQUFFLEVBQUUsQ0FBQyxLQUFLLEVBQUUsR0FBRyxFQUFFLEVBQUU7WUFDckcsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCO2lCQUFNO2dCQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNoQjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsd0RBQXdEO0FBRXhELEtBQUssVUFBVSxjQUFjLENBQUMsUUFBUSxFQUFFLHNCQUFzQixFQUFFLEtBQWEsRUFBRSxRQUFnQixFQUFFLFFBQWdCO0lBQzdHLE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDbkMsSUFBSSxZQUFZLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxrRUFBa0UsQ0FBQyxDQUFDO1FBQ3hHLFlBQVksQ0FBQyxHQUFHLENBQUM7WUFDYixzQkFBc0IsQ0FBQyxpQkFBaUI7WUFDeEMsS0FBSztZQUNMLFFBQVE7WUFDUixRQUFRO1lBQ1Isc0JBQXNCLENBQUMsY0FBYztZQUNyQyxzQkFBc0IsQ0FBQyxVQUFVO1lBQ2pDLEtBQUs7U0FDUixFQUFFLFVBQVMsS0FBSyxFQUFFLEdBQUc7WUFDbEIsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCO2lCQUFNO2dCQUNILFlBQVksQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFFLHFCQUFxQjtnQkFDL0MsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQ2hCO1FBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsZ0dBQWdHO0FBQ2hHLDhCQUE4QjtBQUU5QixLQUFLLFVBQVUsU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0I7SUFDckQsSUFBSSxXQUFXLEdBQUcsY0FBYyxFQUFFLENBQUM7SUFDbkMsSUFBSSxXQUFXLEdBQUcsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7SUFDbkYsS0FBSyxJQUFJLGFBQWEsSUFBSSxXQUFXLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE1BQU0sS0FBSyxtQkFBbUIsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLGNBQWMsQ0FBQyxFQUFFO1FBQzNJLElBQUksUUFBUSxHQUFHLENBQUMsV0FBVyxLQUFLLFNBQVMsSUFBSSxXQUFXLENBQUMsYUFBYSxDQUFDLE1BQU0sQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDekksSUFBSSxRQUFRLEdBQUcsQ0FBQyxzQkFBc0IsQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsc0JBQXNCLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQ3RJLElBQUksQ0FBQyxDQUFDLFFBQVEsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsUUFBUSxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxFQUFFLEVBQUcsa0ZBQWtGO1lBQ3RLLElBQUksV0FBVyxLQUFLLFNBQVM7Z0JBQ3pCLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLHNCQUFzQixDQUFDLGlCQUFpQixjQUFjLGFBQWEsQ0FBQyxNQUFNLFdBQVcsUUFBUSxXQUFXLFFBQVEsS0FBSyxDQUFDLENBQUM7WUFDNUosTUFBTSxjQUFjLENBQUMsUUFBUSxFQUFFLHNCQUFzQixFQUFFLGFBQWEsQ0FBQyxNQUFNLEVBQUUsUUFBUSxFQUFFLFFBQVEsQ0FBQyxDQUFDO1NBQ3BHO0tBQ0o7SUFFRCxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25DLElBQUksT0FBTyxHQUFHLFdBQVcsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNqRixJQUFJLFVBQVUsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQy9ELElBQUksWUFBWSxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsa0NBQWtDLE9BQU8sYUFBYSxVQUFVLEdBQUcsQ0FBQyxDQUFDO1FBQ3pHLFlBQVksQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLHNCQUFzQixDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLFVBQVMsS0FBSyxFQUFFLEdBQUc7WUFDNUcsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCO2lCQUFNO2dCQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsMkJBQTJCLHNCQUFzQixDQUFDLGlCQUFpQixxQkFBcUIsc0JBQXNCLENBQUMsT0FBTyx3QkFBd0Isc0JBQXNCLENBQUMsV0FBVyxxQkFBcUIsQ0FBQyxDQUFDO2dCQUNuTixZQUFZLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBRSxxQkFBcUI7Z0JBQy9DLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNoQjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsb0dBQW9HO0FBQ3BHLHFHQUFxRztBQUNyRyw0QkFBNEI7QUFFNUIsS0FBSyxVQUFVLGNBQWMsQ0FBQyxRQUFRO0lBQ2xDLE9BQU8sSUFBSSxPQUFPLENBQVMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDM0MsUUFBUSxDQUFDLEdBQUcsQ0FBQyx3SEFBd0gsRUFBRSxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTtZQUNsSixJQUFJLEtBQUssRUFBRTtnQkFDUCxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNyQixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDakI7aUJBQU07Z0JBQ0gsT0FBTyxDQUFDLENBQUMsR0FBRyxLQUFLLFNBQVMsSUFBSSxHQUFHLENBQUMsTUFBTSxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQzthQUNoRjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsK0RBQStEO0FBRS9ELEtBQUssVUFBVSxZQUFZLENBQUMsUUFBUSxFQUFFLEtBQWE7SUFDL0MsT0FBTyxJQUFJLE9BQU8sQ0FBUSxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUMxQyxRQUFRLENBQUMsR0FBRyxDQUFDLDJFQUEyRSxFQUFFLENBQUUsS0FBSyxDQUFFLEVBQUUsQ0FBQyxLQUFLLEVBQUUsSUFBSSxFQUFFLEVBQUU7WUFDakgsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCO2lCQUFNO2dCQUNILE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUNqQjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsNEZBQTRGO0FBQzVGLDBCQUEwQjtBQUUxQixLQUFLLFVBQVUsV0FBVyxDQUFDLFFBQVEsRUFBRSxLQUFhO0lBQzlDLElBQUksS0FBSyxLQUFLLFFBQVEsRUFBRTtRQUNwQixLQUFLLEdBQUcsTUFBTSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDdkMsSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFO1lBQ3JCLE9BQU8sQ0FBQyxHQUFHLENBQUMsNkJBQTZCLENBQUMsQ0FBQztZQUMzQyxPQUFPO1NBQ1Y7S0FDSjtJQUVELElBQUksU0FBUyxHQUFHLE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBQztJQUNwRCxJQUFJLFNBQVMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO1FBQ3hCLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0NBQWdDLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDckQsT0FBTztLQUNWO0lBRUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyx3QkFBd0IsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUM3QyxLQUFLLElBQUksUUFBUSxJQUFJLFNBQVMsRUFBRTtRQUM1QixJQUFJLFFBQVEsQ0FBQyxTQUFTLEtBQUssSUFBSTtZQUMzQixPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sUUFBUSxDQUFDLGlCQUFpQixLQUFLLFFBQVEsQ0FBQyxLQUFLLFlBQVksUUFBUSxDQUFDLFNBQVMsV0FBVyxRQUFRLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQzs7WUFFL0gsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLFFBQVEsQ0FBQyxpQkFBaUIsS0FBSyxRQUFRLENBQUMsS0FBSyxrQkFBa0IsUUFBUSxDQUFDLFNBQVMsU0FBUyxRQUFRLENBQUMsU0FBUyxXQUFXLFFBQVEsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO0tBQ3ZLO0FBQ0wsQ0FBQztBQXdCRCx3REFBd0Q7QUFFeEQsU0FBUyxpQkFBaUIsQ0FBQyxHQUFXLEVBQUUsVUFBa0IsRUFBRSxpQkFBeUIsRUFBRSxNQUFjO0lBQ2pHLE9BQU8sQ0FBQyxHQUFHLENBQUMsd0JBQXdCLGlCQUFpQixZQUFZLFVBQVUscUJBQXFCLE1BQU0sR0FBRyxDQUFDLENBQUM7SUFDM0csV0FBVyxDQUFDLFlBQVksRUFBRSxDQUFDO0lBQzNCLFdBQVcsQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFFLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLGlCQUFpQixFQUFFLGlCQUFpQixFQUFFLENBQUUsQ0FBQyxDQUFDO0FBQ3ZLLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsa0dBQWtHO0FBQ2xHLDBDQUEwQztBQUUxQyxLQUFLLFVBQVUsU0FBUyxDQUFDLFFBQVE7SUFDN0IsV0FBVyxDQUFDLFlBQVksR0FBRyxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMscUJBQXFCLENBQUMsQ0FBQztJQUVsRSxJQUFJLFdBQVcsQ0FBQyxXQUFXLEdBQUcsQ0FBQyxJQUFJLFdBQVcsQ0FBQyxZQUFZLEdBQUcsV0FBVyxDQUFDLFdBQVcsR0FBRyx1QkFBdUI7UUFDM0csV0FBVyxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxXQUFXLFdBQVcsQ0FBQyxZQUFZLE9BQU8sV0FBVyxDQUFDLFdBQVcscURBQXFELHVCQUF1QixHQUFHLENBQUMsQ0FBQztJQUMxTCxLQUFLLElBQUksS0FBSyxJQUFJLFdBQVcsQ0FBQyxlQUFlO1FBQ3pDLElBQUksV0FBVyxDQUFDLGtCQUFrQixHQUFHLENBQUMsSUFBSSxXQUFXLENBQUMsZUFBZSxDQUFDLEtBQUssQ0FBQyxHQUFHLFdBQVcsQ0FBQyxrQkFBa0IsR0FBRywwQkFBMEI7WUFDdEksV0FBVyxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxRQUFRLEtBQUssOENBQThDLFdBQVcsQ0FBQyxlQUFlLENBQUMsS0FBSyxDQUFDLE9BQU8sV0FBVyxDQUFDLGtCQUFrQiw0REFBNEQsMEJBQTBCLEdBQUcsQ0FBQyxDQUFDO0lBQ3pRLElBQUksV0FBVyxDQUFDLGlCQUFpQixHQUFHLENBQUMsSUFBSSxXQUFXLENBQUMsZUFBZSxDQUFDLE1BQU0sR0FBRyxXQUFXLENBQUMsaUJBQWlCLEdBQUcsMEJBQTBCO1FBQ3BJLFdBQVcsQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMscUJBQXFCLFdBQVcsQ0FBQyxlQUFlLENBQUMsTUFBTSxPQUFPLFdBQVcsQ0FBQyxpQkFBaUIseURBQXlELDBCQUEwQixHQUFHLENBQUMsQ0FBQztJQUMzTixXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsV0FBVyxDQUFDLGtCQUFrQixDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUM7SUFFNUYsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLFdBQVcsQ0FBQyxnQkFBZ0IsaUJBQWlCLFdBQVcsQ0FBQyxrQkFBa0Isa0JBQWtCLFdBQVcsQ0FBQyxlQUFlLENBQUMsTUFBTSxvQkFBb0IsV0FBVyxDQUFDLFdBQVcscUJBQXFCLFdBQVcsQ0FBQyxZQUFZLHNCQUFzQixXQUFXLENBQUMsaUJBQWlCLGtCQUFrQixDQUFDLENBQUM7SUFDclQsS0FBSyxJQUFJLGlCQUFpQixJQUFJLFdBQVcsQ0FBQyxrQkFBa0I7UUFDeEQsT0FBTyxDQUFDLEtBQUssQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO0lBQ3JDLElBQUksV0FBVyxDQUFDLGtCQUFrQixDQUFDLE1BQU0sR0FBRyxDQUFDO1FBQ3pDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO0lBRXpCLEVBQUUsQ0FBQyxhQUFhLENBQUMsZ0JBQWdCLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO0lBQ2hGLElBQUksUUFBUSxLQUFLLFNBQVM7UUFDdEIsT0FBTztJQUVYLE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDbkMsSUFBSSxZQUFZLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxrRUFBa0UsQ0FBQyxDQUFDO1FBQ3hHLFlBQVksQ0FBQyxHQUFHLENBQUM7WUFDYixXQUFXLENBQUMsS0FBSztZQUNqQixXQUFXLENBQUMsV0FBVztZQUN2QixXQUFXLENBQUMsWUFBWTtZQUN4QixXQUFXLENBQUMsTUFBTTtZQUNsQixXQUFXLENBQUMsZ0JBQWdCO1lBQzVCLFdBQVcsQ0FBQyxXQUFXO1lBQ3ZCLFdBQVcsQ0FBQyxZQUFZO1lBQ3hCLFdBQVcsQ0FBQyxpQkFBaUI7WUFDN0IsSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUM7U0FDOUIsRUFBRSxVQUFTLEtBQUssRUFBRSxHQUFHO1lBQ2xCLElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjtpQkFBTTtnQkFDSCxZQUFZLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBRSxxQkFBcUI7Z0JBQy9DLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNoQjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBZ0JELDhGQUE4RjtBQUM5RixzRkFBc0Y7QUFFdEYsSUFBSyxjQUtKO0FBTEQsV0FBSyxjQUFjO0lBQ2YscUNBQW1CLENBQUE7SUFDbkIscUNBQW1CLENBQUE7SUFDbkIsbUNBQWlCLENBQUE7SUFDakIsbUNBQWlCLENBQUE7QUFDckIsQ0FBQyxFQUxJLGNBQWMsS0FBZCxjQUFjLFFBS2xCO0FBRUQsNEVBQTRFO0FBRTVFLEtBQUssVUFBVSxZQUFZLENBQUMsUUFBUTtJQUNoQyxPQUFPLElBQUksT0FBTyxDQUE4QixDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNoRSxRQUFRLENBQUMsR0FBRyxDQUFDLDJCQUEyQixFQUFFLENBQUMsS0FBSyxFQUFFLElBQUksRUFBRSxFQUFFO1lBQ3RELElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjtpQkFBTTtnQkFDSCxJQUFJLFNBQVMsR0FBZ0MsRUFBRSxDQUFDO2dCQUNoRCxLQUFLLElBQUksR0FBRyxJQUFJLElBQUk7b0JBQ2hCLFNBQVMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEdBQUc7d0JBQ2pCLEdBQUcsRUFBRSxHQUFHLENBQUMsR0FBRzt3QkFDWixhQUFhLEVBQUUsR0FBRyxDQUFDLGVBQWU7d0JBQ2xDLFdBQVcsRUFBRSxHQUFHLENBQUMsWUFBWTt3QkFDN0IsSUFBSSxFQUFFLEdBQUcsQ0FBQyxJQUFJO3dCQUNkLFdBQVcsRUFBRSxHQUFHLENBQUMsWUFBWTt3QkFDN0IsVUFBVSxFQUFFLEdBQUcsQ0FBQyxXQUFXO3dCQUMzQixnQkFBZ0IsRUFBRSxHQUFHLENBQUMsaUJBQWlCO3dCQUN2QyxNQUFNLEVBQUUsR0FBRyxDQUFDLE1BQU07cUJBQ3JCLENBQUM7Z0JBQ04sT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDO2FBQ3RCO1FBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCxvRUFBb0U7QUFFcEUsS0FBSyxVQUFVLFlBQVksQ0FBQyxRQUFRLEVBQUUsUUFBa0I7SUFDcEQsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuQyxJQUFJLFlBQVksR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLG9FQUFvRSxDQUFDLENBQUM7UUFDMUcsWUFBWSxDQUFDLEdBQUcsQ0FBQztZQUNiLFFBQVEsQ0FBQyxHQUFHO1lBQ1osUUFBUSxDQUFDLGFBQWE7WUFDdEIsUUFBUSxDQUFDLFdBQVc7WUFDcEIsUUFBUSxDQUFDLElBQUk7WUFDYixRQUFRLENBQUMsV0FBVztZQUNwQixRQUFRLENBQUMsVUFBVTtZQUNuQixRQUFRLENBQUMsZ0JBQWdCO1lBQ3pCLFFBQVEsQ0FBQyxNQUFNO1NBQ2xCLEVBQUUsVUFBUyxLQUFLLEVBQUUsR0FBRztZQUNsQixJQUFJLEtBQUssRUFBRTtnQkFDUCxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNyQixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDakI7aUJBQU07Z0JBQ0gsWUFBWSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUUscUJBQXFCO2dCQUMvQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7YUFDaEI7UUFDTCxDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0YsaUdBQWlHO0FBQ2pHLGtHQUFrRztBQUNsRyxrR0FBa0c7QUFFbEcsU0FBUyxjQUFjLENBQUMsT0FBaUIsRUFBRSxTQUFzQztJQUM3RSxJQUFJLFdBQVcsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sS0FBSyxjQUFjLENBQUMsT0FBTyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxNQUFNLEtBQUssY0FBYyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQzlJLElBQUksVUFBVSxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxLQUFLLGNBQWMsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN4RixJQUFJLFVBQVUsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sS0FBSyxjQUFjLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDeEYsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQyxhQUFhLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBRXRILElBQUksV0FBVyxHQUFhLEVBQUUsQ0FBQztJQUMvQixJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEtBQUssY0FBYyxDQUFDLE1BQU07UUFDdEQsV0FBVyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNqQyxLQUFLLElBQUksR0FBRyxJQUFJLFdBQVcsQ0FBQyxNQUFNLENBQUMsVUFBVSxFQUFFLFVBQVUsQ0FBQztRQUN0RCxJQUFJLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUM7WUFDMUIsV0FBVyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUM5QixPQUFPLFdBQVcsQ0FBQztBQUN2QixDQUFDO0FBWUQsbURBQW1EO0FBRW5ELElBQUssU0FHSjtBQUhELFdBQUssU0FBUztJQUNWLDJDQUFLLENBQUE7SUFDTCx5Q0FBSSxDQUFBO0FBQ1IsQ0FBQyxFQUhJLFNBQVMsS0FBVCxTQUFTLFFBR2I7QUFFRCwyQ0FBMkM7QUFFM0MsSUFBSyxTQUlKO0FBSkQsV0FBSyxTQUFTO0lBQ1YsMEJBQWEsQ0FBQTtJQUNiLDBCQUFhLENBQUE7SUFDYixrQ0FBcUIsQ0FBQTtBQUN6QixDQUFDLEVBSkksU0FBUyxLQUFULFNBQVMsUUFJYjtBQUVELCtGQUErRjtBQUMvRixnR0FBZ0c7QUFDaEcsaUNBQWlDO0FBRWpDLElBQUssVUFHSjtBQUhELFdBQUssVUFBVTtJQUNYLGlDQUFtQixDQUFBO0lBQ25CLCtCQUFpQixDQUFBO0FBQ3JCLENBQUMsRUFISSxVQUFVLEtBQVYsVUFBVSxRQUdkO0FBNkJELDBFQUEwRTtBQUUxRSxTQUFTLG9CQUFvQjtJQUN6QixnQkFBZ0IsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsYUFBYSxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0lBQy9GLEtBQUssSUFBSSxlQUFlLElBQUksZ0JBQWdCLEVBQUU7UUFDMUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsU0FBUyxDQUFDO1lBQ2pELE1BQU0sSUFBSSxLQUFLLENBQUMsUUFBUSxlQUFlLENBQUMsSUFBSSx5REFBeUQsZUFBZSxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUM7UUFDdEksSUFBSSxDQUFDLENBQUUsU0FBUyxDQUFDLElBQUksRUFBRSxTQUFTLENBQUMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxRQUFRLENBQUUsQ0FBQyxRQUFRLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQztZQUN0RixNQUFNLElBQUksS0FBSyxDQUFDLFFBQVEsZUFBZSxDQUFDLElBQUksb0RBQW9ELGVBQWUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQzVILElBQUksZUFBZSxDQUFDLFVBQVUsS0FBSyxTQUFTO1lBQ3hDLGVBQWUsQ0FBQyxVQUFVLEdBQUcsVUFBVSxDQUFDLE9BQU8sQ0FBQzthQUMvQyxJQUFJLENBQUMsQ0FBRSxVQUFVLENBQUMsT0FBTyxFQUFFLFVBQVUsQ0FBQyxNQUFNLENBQUUsQ0FBQyxRQUFRLENBQUMsZUFBZSxDQUFDLFVBQVUsQ0FBQztZQUNwRixNQUFNLElBQUksS0FBSyxDQUFDLFFBQVEsZUFBZSxDQUFDLElBQUksMERBQTBELGVBQWUsQ0FBQyxVQUFVLEVBQUUsQ0FBQyxDQUFDO1FBQ3hJLElBQUksZUFBZSxDQUFDLFVBQVUsS0FBSyxTQUFTLElBQUksQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDLFVBQVUsQ0FBQyxJQUFJLGVBQWUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsT0FBTyxTQUFTLEtBQUssUUFBUSxDQUFDLENBQUM7WUFDdkssTUFBTSxJQUFJLEtBQUssQ0FBQyxRQUFRLGVBQWUsQ0FBQyxJQUFJLDZFQUE2RSxDQUFDLENBQUM7S0FDbEk7QUFDTCxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLDJGQUEyRjtBQUUzRixTQUFTLGlCQUFpQixDQUFDLGVBQWdDLEVBQUUsSUFBWTtJQUNyRSxJQUFJLEdBQUcsQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDO0lBQy9DLElBQUksZUFBZSxDQUFDLElBQUksS0FBSyxTQUFTLENBQUMsSUFBSSxFQUFFO1FBQ3pDLElBQUksSUFBSSxHQUFHLE1BQU0sQ0FBQyxJQUFJLEVBQUUsV0FBVyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUUsbURBQW1EO1FBQ2hHLE9BQU8sSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGVBQWUsQ0FBQyxPQUFPLElBQUksRUFBRSxDQUFDLENBQUM7S0FDdkY7U0FBTSxJQUFJLGVBQWUsQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLFFBQVEsRUFBRTtRQUNwRCxJQUFJLE1BQU0sR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUNqRCxPQUFPLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLEtBQUssRUFBRSxJQUFJLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGVBQWUsQ0FBQyxPQUFPLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxlQUFlLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO0tBQzVKO0lBQ0QsT0FBTyxDQUFDLElBQUksS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxlQUFlLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDbEUsQ0FBQztBQUVELG1HQUFtRztBQUVuRyxTQUFTLGlCQUFpQixDQUFDLFFBQWlCLEVBQUUsUUFBaUIsRUFBRSxTQUFvQjtJQUNqRixJQUFJLFNBQVMsS0FBSyxTQUFTLENBQUMsS0FBSyxFQUFFO1FBQy9CLElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO1FBQ3JGLElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztRQUNwRSxJQUFJLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxHQUFHLENBQUMsRUFBRyxrQ0FBa0M7WUFDN0UsT0FBTyxNQUFNLENBQUMsU0FBUyxDQUFDO1FBQzVCLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztLQUN4RztTQUFNLElBQUksU0FBUyxLQUFLLFNBQVMsQ0FBQyxJQUFJLEVBQUU7UUFDckMsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxHQUFHLENBQUMsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDckYsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFDMUcsSUFBSSxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUcsa0NBQWtDO1lBQzlFLE9BQU8sTUFBTSxDQUFDLFNBQVMsQ0FBQztRQUM1QixPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7S0FDeEc7SUFDRCxPQUFPLE1BQU0sQ0FBQyxTQUFTLENBQUM7QUFDNUIsQ0FBQztBQUVELDJGQUEyRjtBQUUzRixTQUFTLFNBQVMsQ0FBQyxRQUFpQixFQUFFLFFBQWlCLEVBQUUsU0FBb0I7SUFDekUsSUFBSSxTQUFTLEtBQUssU0FBUyxDQUFDLEtBQUs7UUFDN0IsT0FBTyxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sSUFBSSxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLEdBQUcsUUFBUSxDQUFDLENBQUMsQ0FBQztTQUM3RixJQUFJLFNBQVMsS0FBSyxTQUFTLENBQUMsSUFBSTtRQUNqQyxPQUFPLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxJQUFJLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQ2hHLE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUFFRCwyRkFBMkY7QUFDM0YsbUJBQW1CO0FBRW5CLFNBQVMsT0FBTyxDQUFDLE9BQWdCLEVBQUUsSUFBWTtJQUMzQyxPQUFPLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsS0FBSyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUM7QUFDdEYsQ0FBQztBQUVELGdHQUFnRztBQUNoRyw0QkFBNEI7QUFFNUIsU0FBUyxnQkFBZ0IsQ0FBQyxRQUFtQixFQUFFLElBQVksRUFBRSxXQUFvQjtJQUM3RSxJQUFJLGVBQWUsR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUUsNEVBQTRFO0lBQ3JKLElBQUksZUFBZSxLQUFLLFNBQVMsSUFBSSxXQUFXO1FBQzVDLGVBQWUsR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUNqSCxPQUFPLGVBQWUsQ0FBQztBQUMzQixDQUFDO0FBRUQsbUdBQW1HO0FBQ25HLGdHQUFnRztBQUNoRyx1RkFBdUY7QUFFdkYsU0FBUyxXQUFXLENBQUMsT0FBZ0IsRUFBRSxVQUF1QjtJQUMxRCxJQUFJLElBQUksR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQzdDLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUM7UUFDckMsT0FBTyxJQUFJLENBQUM7SUFDaEIsT0FBTyxVQUFVLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxJQUFJLElBQUksQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUN0SixDQUFDO0FBRUQsOEZBQThGO0FBQzlGLGdHQUFnRztBQUNoRyw2RkFBNkY7QUFDN0YsbUZBQW1GO0FBRW5GLFNBQVMsa0JBQWtCLENBQUMsUUFBbUIsRUFBRSxZQUFxQixFQUFFLFNBQW9CLEVBQUUsVUFBdUI7SUFDakgsSUFBSSxjQUFjLEdBQVksRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0lBQ2pILEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxFQUFFO1FBQzFCLElBQUksT0FBTyxLQUFLLFlBQVksSUFBSSxDQUFDLFNBQVMsQ0FBQyxZQUFZLEVBQUUsT0FBTyxFQUFFLFNBQVMsQ0FBQztZQUN4RSxTQUFTO1FBQ2IsSUFBSSxRQUFRLEdBQUcsaUJBQWlCLENBQUMsWUFBWSxFQUFFLE9BQU8sRUFBRSxTQUFTLENBQUMsQ0FBQztRQUNuRSxJQUFJLFFBQVEsR0FBRyxNQUFNLENBQUMsU0FBUyxJQUFJLFFBQVEsR0FBRyxpQkFBaUIsQ0FBQyxZQUFZLEVBQUUsY0FBYyxFQUFFLFNBQVMsQ0FBQztZQUNwRyxjQUFjLEdBQUcsT0FBTyxDQUFDO0tBQ2hDO0lBRUQsT0FBTyxDQUFDLGNBQWMsQ0FBQyxJQUFJLEtBQUssU0FBUyxJQUFJLFdBQVcsQ0FBQyxjQUFjLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxjQUFjLENBQUM7QUFDdkgsQ0FBQztBQUVELGtHQUFrRztBQUNsRyxpR0FBaUc7QUFDakcsOEZBQThGO0FBQzlGLGtHQUFrRztBQUNsRyxrR0FBa0c7QUFDbEcsdUJBQXVCO0FBRXZCLFNBQVMsY0FBYyxDQUFDLFFBQW1CLEVBQUUsWUFBcUIsRUFBRSxTQUFvQixFQUFFLFVBQXVCO0lBQzdHLElBQUksYUFBYSxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLEtBQUssWUFBWSxJQUFJLFdBQVcsQ0FBQyxPQUFPLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQztJQUM3RyxJQUFJLGNBQWMsR0FBYyxFQUFFLENBQUM7SUFFbkMsSUFBSSxTQUFTLEtBQUssU0FBUyxDQUFDLEtBQUssRUFBRTtRQUMvQixxRkFBcUY7UUFFckYsSUFBSSxjQUFjLEdBQUcsa0JBQWtCLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsVUFBVSxDQUFDLENBQUM7UUFDdkYsSUFBSSxjQUFjLEtBQUssU0FBUztZQUM1QixPQUFPLFNBQVMsQ0FBQztRQUVyQixJQUFJLFlBQVksR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxLQUFLLFlBQVksSUFBSSxTQUFTLENBQUMsWUFBWSxFQUFFLE9BQU8sRUFBRSxTQUFTLENBQUMsSUFBSSxPQUFPLENBQUMsQ0FBQyxJQUFJLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN4SixZQUFZLENBQUMsSUFBSSxDQUFDLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDbkUsS0FBSyxJQUFJLE9BQU8sSUFBSSxZQUFZLEVBQUU7WUFDOUIsSUFBSSxhQUFhLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQztnQkFDL0IsTUFBTTtZQUNWLElBQUksZUFBZSxHQUFHLGNBQWMsQ0FBQyxjQUFjLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQ2hFLElBQUksZUFBZSxLQUFLLFNBQVMsSUFBSSxPQUFPLENBQUMsQ0FBQyxHQUFHLENBQUMsZUFBZSxDQUFDLENBQUMsR0FBRyxlQUFlLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxNQUFNO2dCQUNySCxNQUFNO1lBQ1YsY0FBYyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztTQUNoQztLQUNKO1NBQU0sSUFBSSxTQUFTLEtBQUssU0FBUyxDQUFDLElBQUksRUFBRTtRQUNyQyx3RkFBd0Y7UUFDeEYsdUZBQXVGO1FBRXZGLElBQUksV0FBVyxHQUFHLE1BQU0sQ0FBQyxTQUFTLENBQUM7UUFDbkMsS0FBSyxJQUFJLE9BQU8sSUFBSSxhQUFhO1lBQzdCLElBQUksU0FBUyxDQUFDLFlBQVksRUFBRSxPQUFPLEVBQUUsU0FBUyxDQUFDLEtBQUssQ0FBQyxJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUM7Z0JBQy9FLFdBQVcsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFFdkQsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sS0FBSyxZQUFZLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLEtBQUssR0FBRyxZQUFZLENBQUMsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsV0FBVyxDQUFDLENBQUM7UUFDM00sY0FBYyxDQUFDLElBQUksQ0FBQyxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsRUFBRSxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBRXBHLDJGQUEyRjtRQUMzRiw2REFBNkQ7UUFFN0QsSUFBSSxZQUFZLEdBQWMsQ0FBRSxZQUFZLENBQUUsQ0FBQztRQUMvQyxJQUFJLElBQUksR0FBYyxFQUFFLENBQUM7UUFDekIsS0FBSyxJQUFJLE9BQU8sSUFBSSxjQUFjLENBQUMsTUFBTSxDQUFDLENBQUUsU0FBUyxDQUFFLENBQUMsRUFBRTtZQUN0RCxJQUFJLE9BQU8sS0FBSyxTQUFTLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFO2dCQUMxRixJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUNuQixTQUFTO2FBQ1o7WUFDRCxJQUFJLElBQUksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO2dCQUNqQixJQUFJLElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxDQUFDO29CQUM3RCxNQUFNO2dCQUNWLElBQUksT0FBTyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ2xFLElBQUksa0JBQWtCLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFlBQVksQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO2dCQUMxRyxJQUFJLGtCQUFrQixHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxZQUFZLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7Z0JBQzFGLElBQUksT0FBTyxHQUFHLGtCQUFrQixHQUFHLGtCQUFrQjtvQkFDakQsTUFBTTtnQkFDVixJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQzNELElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxXQUFXLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxJQUFJLFdBQVcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDO2dCQUM3SixJQUFJLFFBQVEsSUFBSSxDQUFDO29CQUNiLElBQUksR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQyxDQUFFLDhEQUE4RDtnQkFDbkcsY0FBYyxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO2dCQUM3QixZQUFZLEdBQUcsSUFBSSxDQUFDO2FBQ3ZCO1lBQ0QsSUFBSSxHQUFHLENBQUMsT0FBTyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUUsT0FBTyxDQUFFLENBQUM7U0FDckQ7S0FDSjtJQUVELE9BQU8sY0FBYyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxXQUFXLEtBQUssRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUM7QUFDekksQ0FBQztBQUVELGtHQUFrRztBQUNsRyxnRUFBZ0U7QUFFaEUsU0FBUyxTQUFTLENBQUMsSUFBWTtJQUMzQixPQUFPLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUk7U0FDbEMsT0FBTyxDQUFDLEtBQUssRUFBRSxHQUFHLENBQUM7U0FDbkIsT0FBTyxDQUFDLElBQUksRUFBRSxHQUFHLENBQUM7U0FDbEIsT0FBTyxDQUFDLDJFQUEyRSxFQUFFLEdBQUcsQ0FBQztTQUN6RixPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQztTQUN0QixJQUFJLEVBQUUsQ0FBQztBQUNoQixDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLHlGQUF5RjtBQUV6RixTQUFTLHFCQUFxQixDQUFDLEtBQWEsRUFBRSxLQUFhO0lBQ3ZELElBQUksV0FBVyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRSxNQUFNLEVBQUUsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsRUFBRSxDQUFDLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3BGLEtBQUssSUFBSSxNQUFNLEdBQUcsQ0FBQyxFQUFFLE1BQU0sSUFBSSxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25ELElBQUksR0FBRyxHQUFHLENBQUUsTUFBTSxDQUFFLENBQUM7UUFDckIsS0FBSyxJQUFJLE1BQU0sR0FBRyxDQUFDLEVBQUUsTUFBTSxJQUFJLEtBQUssQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFO1lBQ2pELEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FDYixXQUFXLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUN2QixHQUFHLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFDbkIsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsS0FBSyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3hGLFdBQVcsR0FBRyxHQUFHLENBQUM7S0FDckI7SUFDRCxPQUFPLFdBQVcsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7QUFDckMsQ0FBQztBQUVELG9HQUFvRztBQUNwRyxpR0FBaUc7QUFDakcsOEZBQThGO0FBQzlGLGtHQUFrRztBQUNsRyxpRkFBaUY7QUFFakYsU0FBUyxjQUFjLENBQUMsVUFBa0I7SUFDdEMsVUFBVSxHQUFHLFVBQVUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxPQUFPLENBQUMsbUJBQW1CLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7SUFFOUUsSUFBSSxVQUFVLEdBQUcsV0FBVyxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ3pDLElBQUksVUFBVSxLQUFLLFNBQVM7UUFDeEIsT0FBTyxVQUFVLENBQUM7SUFFdEIsS0FBSyxJQUFJLGVBQWUsSUFBSSxXQUFXO1FBQ25DLElBQUksZUFBZSxHQUFHLEdBQUcsR0FBRyxlQUFlLEtBQUssVUFBVTtZQUN0RCxPQUFPLFdBQVcsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFFLDhCQUE4QjtJQUU1RSxJQUFJLGtCQUFrQixHQUFhLEVBQUUsQ0FBQztJQUN0QyxJQUFJLGVBQWUsR0FBRyxDQUFDLFVBQVUsQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUUsaUNBQWlDO0lBQzFGLEtBQUssSUFBSSxlQUFlLElBQUksV0FBVyxFQUFFO1FBQ3JDLElBQUksUUFBUSxHQUFHLHFCQUFxQixDQUFDLFVBQVUsRUFBRSxlQUFlLENBQUMsQ0FBQztRQUNsRSxJQUFJLFFBQVEsR0FBRyxlQUFlLEVBQUU7WUFDNUIsa0JBQWtCLEdBQUcsQ0FBRSxlQUFlLENBQUUsQ0FBQztZQUN6QyxlQUFlLEdBQUcsUUFBUSxDQUFDO1NBQzlCO2FBQU0sSUFBSSxRQUFRLEtBQUssZUFBZSxFQUFFO1lBQ3JDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztTQUM1QztLQUNKO0lBQ0QsT0FBTyxDQUFDLGtCQUFrQixDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFFLDRDQUE0QztBQUM1SSxDQUFDO0FBRUQsNkZBQTZGO0FBQzdGLDRFQUE0RTtBQUU1RSxTQUFTLHFCQUFxQixDQUFDLE1BQWM7SUFDekMsSUFBSSxLQUFLLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUM5QixJQUFJLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQztRQUNoQixPQUFPLE1BQU0sQ0FBQztJQUNsQixJQUFJLFlBQVksR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQzlELElBQUksVUFBVSxHQUFHLFdBQVcsQ0FBQyxZQUFZLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztJQUN6RCxJQUFJLFVBQVUsS0FBSyxTQUFTO1FBQ3hCLE9BQU8sTUFBTSxDQUFDO0lBQ2xCLElBQUksWUFBWSxLQUFLLFlBQVksQ0FBQyxXQUFXLEVBQUU7UUFDM0MsVUFBVSxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFFLG1DQUFtQztJQUNuSCxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUM7SUFDckMsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0FBQzNCLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsOEZBQThGO0FBQzlGLHdEQUF3RDtBQUV4RCxTQUFTLGdCQUFnQixDQUFDLFdBQW1CLEVBQUUsTUFBYyxFQUFFLE1BQWM7SUFDekUsSUFBSSxPQUFPLEdBQUcsU0FBUyxDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBQ3JDLE1BQU0sR0FBRyxxQkFBcUIsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztJQUNsRCxJQUFJLE1BQU0sS0FBSyxFQUFFO1FBQ2IsT0FBTyxJQUFJLENBQUMsQ0FBQyxPQUFPLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsTUFBTSxDQUFDO0lBRXRELElBQUksVUFBVSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNuQyxJQUFJLFVBQVUsR0FBRyxjQUFjLENBQUMsVUFBVSxDQUFDLENBQUM7SUFDNUMsT0FBTyxJQUFJLENBQUMsQ0FBQyxPQUFPLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLFVBQVUsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFFLDhDQUE4QztJQUVuSixPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxnQkFBZ0IsRUFBRSxDQUFDLFVBQVUsS0FBSyxTQUFTLENBQUMsRUFBRSxDQUFDO0FBQ3JGLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsdUJBQXVCO0FBRXZCLFNBQVMsc0JBQXNCO0lBQzNCLElBQUksaUJBQWlCLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxNQUFNLEVBQUUsVUFBVSxFQUFFLGtCQUFrQixFQUFFLGlCQUFpQixDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQzdKLEVBQUUsQ0FBQyxhQUFhLENBQUMsd0JBQXdCLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxpQkFBaUIsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7SUFDOUYsSUFBSSxpQkFBaUIsQ0FBQyxNQUFNLEdBQUcsQ0FBQztRQUM1QixPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsaUJBQWlCLENBQUMsTUFBTSx1REFBdUQsQ0FBQyxDQUFDO0FBQzlHLENBQUM7QUFFRCwyRUFBMkU7QUFFM0UsS0FBSyxVQUFVLFFBQVEsQ0FBQyxHQUFXLEVBQUUsTUFBYztJQUMvQyxJQUFJLHVCQUF1QixHQUFHLEVBQUUsQ0FBQztJQUVqQyxpRUFBaUU7SUFFakUsTUFBTSxHQUFHLEdBQUcsTUFBTSxLQUFLLENBQUMsV0FBVyxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksVUFBVSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFFLGlEQUFpRDtJQUV6SCxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUMvQyxJQUFJLElBQUksR0FBRyxNQUFNLEdBQUcsQ0FBQyxPQUFPLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ3hDLFdBQVcsQ0FBQyxXQUFXLEVBQUUsQ0FBQztRQUUxQiwwRUFBMEU7UUFFMUUsSUFBSSxXQUFXLEdBQUcsTUFBTSxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7UUFDOUMsSUFBSSxRQUFRLEdBQUcsTUFBTSxJQUFJLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzNDLElBQUksUUFBUSxHQUFjLFdBQVcsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ25ELElBQUksU0FBUyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBQ3pFLE9BQU8sRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUN4RyxDQUFDLENBQUMsQ0FBQTtRQUVGLHVGQUF1RjtRQUN2RixrQ0FBa0M7UUFFbEMsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDO1FBQ2hCLElBQUksVUFBVSxHQUFnQixnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsZUFBZSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLGVBQWUsQ0FBQyxLQUFLLEVBQUUsV0FBVyxFQUFFLGVBQWUsQ0FBQyxXQUFXLEtBQUssSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQzVKLEtBQUssSUFBSSxlQUFlLElBQUksZ0JBQWdCLEVBQUU7WUFDMUMsSUFBSSxTQUFTLEdBQUcsQ0FBQyxlQUFlLENBQUMsU0FBUyxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDO1lBQzFGLElBQUksWUFBWSxHQUFHLGdCQUFnQixDQUFDLFFBQVEsRUFBRSxlQUFlLENBQUMsS0FBSyxFQUFFLGVBQWUsQ0FBQyxXQUFXLEtBQUssSUFBSSxDQUFDLENBQUM7WUFDM0csSUFBSSxlQUFlLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDLGVBQWUsQ0FBQyxVQUFVLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLGVBQWUsQ0FBQyxXQUFXLEtBQUssSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDdkssSUFBSSxJQUFJLEdBQVcsU0FBUyxDQUFDO1lBQzdCLElBQUksWUFBWSxLQUFLLFNBQVMsSUFBSSxlQUFlLENBQUMsVUFBVSxLQUFLLFVBQVUsQ0FBQyxNQUFNLEVBQUU7Z0JBQ2hGLElBQUksR0FBRyxjQUFjLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsZUFBZSxDQUFDLENBQUM7YUFDN0U7aUJBQU0sSUFBSSxZQUFZLEtBQUssU0FBUyxFQUFFO2dCQUNuQyxJQUFJLE9BQU8sR0FBRyxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxlQUFlLENBQUMsQ0FBQztnQkFDckYsSUFBSSxHQUFHLENBQUMsT0FBTyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUM7YUFDN0Q7WUFDRCxNQUFNLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxHQUFHLGlCQUFpQixDQUFDLGVBQWUsRUFBRSxJQUFJLENBQUMsQ0FBQztTQUMzRTtRQUVELElBQUksaUJBQWlCLEdBQUcsQ0FBQyxNQUFNLENBQUMsbUJBQW1CLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQy9FLElBQUksc0JBQXNCLEdBQUcsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxFQUFFLENBQUMsZUFBZSxDQUFDLFFBQVEsSUFBSSxDQUFDLE1BQU0sQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLEtBQUssRUFBRSxJQUFJLE1BQU0sQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQztRQUNsTCxJQUFJLHNCQUFzQixLQUFLLFNBQVMsRUFBRTtZQUN0QyxpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsS0FBSyxHQUFHLENBQUMsRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsc0JBQXNCLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQztZQUN2RyxTQUFTO1NBQ1o7UUFFRCxJQUFJLE1BQU0sQ0FBQyxRQUFRLENBQUMsS0FBSyxTQUFTLElBQUksU0FBUyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxLQUFLLEVBQUUsSUFBSSxTQUFTLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEtBQUssR0FBRyxFQUFFO1lBQzdHLGlCQUFpQixDQUFDLEdBQUcsRUFBRSxLQUFLLEdBQUcsQ0FBQyxFQUFFLGlCQUFpQixFQUFFLFdBQVcsQ0FBQyxDQUFDO1lBQ2xFLFNBQVM7U0FDWjtRQUVELElBQUksRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLEVBQUUsR0FBRyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLEVBQUUsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQ2hILElBQUksQ0FBQyxnQkFBZ0IsRUFBRTtZQUNuQixJQUFJLFVBQVUsR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7WUFDN0MsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQ0FBc0MsVUFBVSx1QkFBdUIsaUJBQWlCLDRCQUE0QixDQUFDLENBQUM7WUFDbEksaUJBQWlCLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBRSxpQkFBaUIsQ0FBRSxDQUFDLENBQUM7U0FDdkc7UUFFRCw2REFBNkQ7UUFFN0QsSUFBSSxpQkFBaUIsS0FBSyxFQUFFLElBQUksT0FBTyxLQUFLLEVBQUUsRUFBRTtZQUM1QyxpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsS0FBSyxHQUFHLENBQUMsRUFBRSxpQkFBaUIsRUFBRSw0Q0FBNEMsQ0FBQyxDQUFDO1lBQ25HLFNBQVM7U0FDWjtRQUVELElBQUksc0JBQXNCLEdBQUc7WUFDekIsaUJBQWlCLEVBQUUsaUJBQWlCO1lBQ3BDLE9BQU8sRUFBRSxPQUFPO1lBQ2hCLGNBQWMsRUFBRSxHQUFHO1lBQ25CLFVBQVUsRUFBRSxVQUFVO1lBQ3RCLFVBQVUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDO1NBQzVDLENBQUM7UUFFRixLQUFLLElBQUksZUFBZSxJQUFJLGdCQUFnQjtZQUN4QyxJQUFJLGVBQWUsQ0FBQyxNQUFNLEtBQUssU0FBUyxJQUFJLGVBQWUsQ0FBQyxJQUFJLEtBQUssbUJBQW1CO2dCQUNwRixzQkFBc0IsQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBTSxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUVwRiw0RkFBNEY7UUFFNUYsV0FBVyxDQUFDLGtCQUFrQixFQUFFLENBQUM7UUFDakMsS0FBSyxJQUFJLGVBQWUsSUFBSSxnQkFBZ0I7WUFDeEMsSUFBSSxNQUFNLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxLQUFLLGlCQUFpQixDQUFDLGVBQWUsRUFBRSxTQUFTLENBQUM7Z0JBQzlFLFdBQVcsQ0FBQyxlQUFlLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLGVBQWUsQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBRXpILHVCQUF1QixDQUFDLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO0tBQ3hEO0lBRUQsT0FBTyx1QkFBdUIsQ0FBQztBQUNuQyxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLHFCQUFxQjtBQUVyQixLQUFLLFVBQVUsV0FBVyxDQUFDLEdBQVc7SUFDbEMsSUFBSSxRQUFRLEdBQUcsTUFBTSxnQkFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ25DLElBQUksUUFBUSxDQUFDLGFBQWE7UUFDdEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxREFBcUQsR0FBRyxFQUFFLENBQUMsQ0FBQztJQUM1RSxPQUFPLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLFFBQVEsQ0FBQyxJQUFJLEVBQUUsQ0FBQztBQUMxRCxDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLDRDQUE0QztBQUU1QyxTQUFTLFFBQVEsQ0FBQyxJQUFZLEVBQUUsWUFBb0I7SUFDaEQsSUFBSSxLQUFLLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ3pCLE9BQU8sQ0FBQyxJQUFJLEtBQUssU0FBUyxJQUFJLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksS0FBSyxDQUFDLEtBQUssQ0FBQyxJQUFJLEtBQUssR0FBRyxDQUFDLElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQztBQUN2SCxDQUFDO0FBRUQsdURBQXVEO0FBRXZELFNBQVMsZUFBZTtJQUNwQixXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLEtBQUssSUFBSSxNQUFNLElBQUksRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDO1FBQ3hILFdBQVcsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUNqRSxDQUFDO0FBRUQsdURBQXVEO0FBRXZELFNBQVMsZUFBZTtJQUNwQixXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLEtBQUssSUFBSSxVQUFVLElBQUksRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDO1FBQzVILFdBQVcsQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUN6RSxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLHFEQUFxRDtBQUVyRCxTQUFTLFVBQVUsQ0FBQyxJQUFZO0lBQzVCLElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDM0IsSUFBSSxPQUFPLEdBQWEsRUFBRSxDQUFDO0lBQzNCLEtBQUssSUFBSSxPQUFPLElBQUksQ0FBQyxDQUFDLHdDQUF3QyxDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUU7UUFDbkUsSUFBSSxNQUFNLEdBQUcsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLDBCQUEwQixDQUFDLENBQUMsSUFBSSxDQUFDO1FBQ3RGLElBQUksTUFBTSxDQUFDLFdBQVcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUM7WUFDckMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssTUFBTSxDQUFDLEVBQUcsbUJBQW1CO2dCQUMxRCxPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ2hDO0lBQ0QsT0FBTyxPQUFPLENBQUM7QUFDbkIsQ0FBQztBQWNELGdHQUFnRztBQUNoRyxvRkFBb0Y7QUFDcEYsRUFBRTtBQUNGLGdGQUFnRjtBQUNoRix1Q0FBdUM7QUFDdkMsd0NBQXdDO0FBQ3hDLEVBQUU7QUFDRixnR0FBZ0c7QUFFaEcsU0FBUyxjQUFjLENBQUMsSUFBYztJQUNsQyxJQUFJLE9BQU8sR0FBWSxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxVQUFVLEVBQUUsbUJBQW1CLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxZQUFZLEVBQUUsU0FBUyxFQUFFLGlCQUFpQixFQUFFLEtBQUssRUFBRSxDQUFDO0lBQzlLLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQzlDLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLG1CQUFtQjtZQUNuQyxPQUFPLENBQUMsaUJBQWlCLEdBQUcsSUFBSSxDQUFDO2FBQ2hDLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLFdBQVc7WUFDaEMsT0FBTyxDQUFDLFlBQVksR0FBRyxDQUFDLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUM7YUFDaEgsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssWUFBWSxJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU07WUFDNUQsT0FBTyxDQUFDLFlBQVksR0FBRyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQzthQUNwQyxJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxVQUFVLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUMxRCxPQUFPLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO2FBQ2xDLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLFlBQVksSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNO1lBQzVELE9BQU8sQ0FBQyxZQUFZLEdBQUcsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7YUFDcEMsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQztZQUNqQyxNQUFNLElBQUksS0FBSyxDQUFDLG1EQUFtRCxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDOztZQUVsRixPQUFPLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztLQUMxQztJQUNELE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7QUFFRCxxRkFBcUY7QUFFckYsU0FBUyxZQUFZLENBQUMsUUFBa0I7SUFDcEMsSUFBSSxRQUFRLEdBQWEsRUFBRSxDQUFDO0lBQzVCLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxFQUFFO1FBQzFCLElBQUksRUFBRSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxXQUFXLEVBQUUsRUFBRTtZQUNwQyxLQUFLLElBQUksUUFBUSxJQUFJLEVBQUUsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxFQUFFO2dCQUMvQyxJQUFJLFFBQVEsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDO29CQUN2QyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7U0FDdkQ7YUFBTTtZQUNILFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDMUI7S0FDSjtJQUNELE9BQU8sUUFBUSxDQUFDO0FBQ3BCLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsaUdBQWlHO0FBQ2pHLHdEQUF3RDtBQUV4RCxTQUFTLGFBQWEsQ0FBQyxNQUErQyxFQUFFLFFBQWlEO0lBQ3JILElBQUksV0FBVyxHQUFhLEVBQUUsQ0FBQztJQUMvQixLQUFLLElBQUksZ0JBQWdCLElBQUksUUFBUSxFQUFFO1FBQ25DLElBQUksY0FBYyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsSUFBSSxLQUFLLGdCQUFnQixDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3RGLElBQUksY0FBYyxLQUFLLFNBQVMsRUFBRTtZQUM5QixXQUFXLENBQUMsSUFBSSxDQUFDLFlBQVksZ0JBQWdCLENBQUMsSUFBSSxrQkFBa0IsQ0FBQyxDQUFDO1lBQ3RFLFNBQVM7U0FDWjtRQUNELEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLGdCQUFnQixDQUFDLFlBQVksQ0FBQyxNQUFNLEVBQUUsY0FBYyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsRUFBRSxLQUFLLEVBQUUsRUFBRTtZQUNySCxJQUFJLG1CQUFtQixHQUFHLGdCQUFnQixDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDckUsSUFBSSxpQkFBaUIsR0FBRyxjQUFjLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUNqRSxLQUFLLElBQUksS0FBSyxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLEVBQUUsbUJBQW1CLEVBQUUsaUJBQWlCLENBQUMsQ0FBQztnQkFDcEYsSUFBSSxpQkFBaUIsQ0FBQyxLQUFLLENBQUMsS0FBSyxtQkFBbUIsQ0FBQyxLQUFLLENBQUM7b0JBQ3ZELFdBQVcsQ0FBQyxJQUFJLENBQUMsWUFBWSxnQkFBZ0IsQ0FBQyxJQUFJLGlCQUFpQixLQUFLLEdBQUcsQ0FBQyxZQUFZLEtBQUssZUFBZSxJQUFJLENBQUMsU0FBUyxDQUFDLG1CQUFtQixDQUFDLEtBQUssQ0FBQyxDQUFDLGNBQWMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxpQkFBaUIsQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztTQUM1TjtLQUNKO0lBQ0QsS0FBSyxJQUFJLGNBQWMsSUFBSSxNQUFNO1FBQzdCLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLElBQUksS0FBSyxjQUFjLENBQUMsSUFBSSxDQUFDO1lBQ2pFLFdBQVcsQ0FBQyxJQUFJLENBQUMsWUFBWSxjQUFjLENBQUMsSUFBSSwwQkFBMEIsQ0FBQyxDQUFDO0lBQ3BGLE9BQU8sV0FBVyxDQUFDO0FBQ3ZCLENBQUM7QUFFRCxrR0FBa0c7QUFDbEcsK0ZBQStGO0FBRS9GLEtBQUssVUFBVSxZQUFZLENBQUMsT0FBZ0I7SUFDeEMsSUFBSSxPQUFPLEdBQUcsQ0FBQyxPQUFPLENBQUMsWUFBWSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0lBRXZILElBQUksTUFBTSxHQUE0QyxFQUFFLENBQUM7SUFDekQsS0FBSyxJQUFJLE9BQU8sSUFBSSxZQUFZLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxFQUFFO1FBQ2hELElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDdEMsSUFBSSxNQUFNLEdBQUcsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLElBQUksU0FBUyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxLQUFLLFFBQVEsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO1FBQ3BKLElBQUksTUFBTSxLQUFLLFNBQVM7WUFDcEIsTUFBTSxHQUFHLFFBQVEsQ0FBQyxDQUFFLDBFQUEwRTtRQUVsRyxPQUFPLENBQUMsR0FBRyxDQUFDLGlCQUFpQixPQUFPLEVBQUUsQ0FBQyxDQUFDO1FBQ3hDLFdBQVcsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDO1FBQ2hDLElBQUksdUJBQXVCLEdBQUcsTUFBTSxRQUFRLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztRQUMvRSxPQUFPLENBQUMsR0FBRyxDQUFDLFVBQVUsdUJBQXVCLENBQUMsTUFBTSwwQ0FBMEMsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUN6RyxXQUFXLENBQUMsZ0JBQWdCLEVBQUUsQ0FBQztRQUMvQixXQUFXLENBQUMsaUJBQWlCLElBQUksdUJBQXVCLENBQUMsTUFBTSxDQUFDO1FBRWhFLEtBQUssSUFBSSxzQkFBc0IsSUFBSSx1QkFBdUI7WUFDdEQsT0FBTyxzQkFBc0IsQ0FBQyxVQUFVLENBQUM7UUFDN0MsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLHVCQUF1QixFQUFFLENBQUMsQ0FBQztRQUV2RSxJQUFJLE1BQU0sQ0FBQyxFQUFFO1lBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO0tBQ25CO0lBRUQsRUFBRSxDQUFDLGFBQWEsQ0FBQyxPQUFPLENBQUMsVUFBVSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztJQUM3RSxzQkFBc0IsRUFBRSxDQUFDO0lBQ3pCLE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLFFBQVEsRUFBRSxFQUFFLENBQUMsS0FBSyxHQUFHLFFBQVEsQ0FBQyxZQUFZLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxtQ0FBbUMsT0FBTyxDQUFDLFVBQVUsRUFBRSxDQUFDLENBQUM7SUFFekosMkZBQTJGO0lBQzNGLHVEQUF1RDtJQUV2RCxJQUFJLE9BQU8sQ0FBQyxZQUFZLEtBQUssU0FBUyxFQUFFO1FBQ3BDLElBQUksV0FBVyxHQUFHLGFBQWEsQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDdEcsS0FBSyxJQUFJLFVBQVUsSUFBSSxXQUFXO1lBQzlCLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDNUIsSUFBSSxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUN4QixPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsV0FBVyxDQUFDLE1BQU0sK0NBQStDLE9BQU8sQ0FBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDO1lBQzlHLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO1NBQ3hCO2FBQU07WUFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLDhDQUE4QyxPQUFPLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQztTQUNyRjtLQUNKO0lBRUQsTUFBTSxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7QUFDL0IsQ0FBQztBQUVELG1HQUFtRztBQUNuRyxpR0FBaUc7QUFDakcsZ0RBQWdEO0FBRWhELEtBQUssVUFBVSxlQUFlLENBQUMsUUFBUTtJQUNuQyx5REFBeUQ7SUFFekQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsMEJBQTBCLEVBQUUsQ0FBQyxDQUFDO0lBRTlELElBQUksSUFBSSxHQUFHLENBQUMsTUFBTSxnQkFBUSxDQUFDLDBCQUEwQixDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDeEUsSUFBSSxPQUFPLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBRS9CLElBQUksT0FBTyxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7UUFDdEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQ0FBcUMsQ0FBQyxDQUFDO1FBQ25ELFdBQVcsQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsdUNBQXVDLDBCQUEwQixFQUFFLENBQUMsQ0FBQyxDQUFFLDBDQUEwQztRQUNySixPQUFPO0tBQ1Y7SUFFRCxrREFBa0Q7SUFFbEQsSUFBSSxTQUFTLEdBQUcsTUFBTSxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDN0MsS0FBSyxJQUFJLE1BQU0sSUFBSSxPQUFPLEVBQUU7UUFDeEIsSUFBSSxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssU0FBUyxFQUFFO1lBQ2pDLFNBQVMsQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsYUFBYSxFQUFFLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBRSxXQUFXLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsV0FBVyxFQUFFLEVBQUUsRUFBRSxVQUFVLEVBQUUsRUFBRSxFQUFFLGdCQUFnQixFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsY0FBYyxDQUFDLE9BQU8sRUFBRSxDQUFDO1lBQ25NLE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztTQUNuRDtLQUNKO0lBRUQsNkZBQTZGO0lBQzdGLG1EQUFtRDtJQUVuRCxJQUFJLGVBQWUsR0FBRyxjQUFjLENBQUMsT0FBTyxFQUFFLFNBQVMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsY0FBYyxDQUFDLENBQUM7SUFDbEYsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLGVBQWUsQ0FBQyxNQUFNLE9BQU8sT0FBTyxDQUFDLE1BQU0sb0NBQW9DLENBQUMsQ0FBQztJQUN6RyxXQUFXLENBQUMsaUJBQWlCLEdBQUcsZUFBZSxDQUFDLE1BQU0sQ0FBQztJQUV2RCxLQUFLLElBQUksTUFBTSxJQUFJLGVBQWUsRUFBRTtRQUNoQyxJQUFJLFFBQVEsR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDakMsSUFBSTtZQUNBLE9BQU8sQ0FBQyxHQUFHLENBQUMsd0JBQXdCLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDOUMsSUFBSSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsR0FBRyxNQUFNLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNqRCxXQUFXLENBQUMsZ0JBQWdCLEVBQUUsQ0FBQztZQUMvQixJQUFJLFdBQVcsR0FBRyxNQUFNLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDM0UsUUFBUSxDQUFDLFdBQVcsR0FBRyxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMscUJBQXFCLENBQUMsQ0FBQztZQUM5RCxRQUFRLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQztZQUVyQix1RkFBdUY7WUFFdkYsSUFBSSxRQUFRLENBQUMsTUFBTSxLQUFLLGNBQWMsQ0FBQyxNQUFNLElBQUksUUFBUSxDQUFDLFdBQVcsS0FBSyxXQUFXLElBQUksQ0FBQyxZQUFZLEVBQUU7Z0JBQ3BHLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0NBQWdDLE1BQU0sRUFBRSxDQUFDLENBQUM7Z0JBQ3RELFdBQVcsQ0FBQyxrQkFBa0IsRUFBRSxDQUFDO2dCQUNqQyxNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUM7Z0JBQ3ZDLFNBQVM7YUFDWjtZQUVELHFGQUFxRjtZQUNyRixzQ0FBc0M7WUFFdEMsUUFBUSxDQUFDLFdBQVcsR0FBRyxXQUFXLENBQUM7WUFDbkMsUUFBUSxDQUFDLE1BQU0sR0FBRyxjQUFjLENBQUMsT0FBTyxDQUFDO1lBQ3pDLE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUMsQ0FBQztZQUV2QyxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixNQUFNLEVBQUUsQ0FBQyxDQUFDO1lBQzNDLElBQUksdUJBQXVCLEdBQUcsTUFBTSxRQUFRLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQzdELE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSx1QkFBdUIsQ0FBQyxNQUFNLDhDQUE4QyxNQUFNLEVBQUUsQ0FBQyxDQUFDO1lBRTVHLG1GQUFtRjtZQUNuRixpREFBaUQ7WUFFakQsTUFBTSxHQUFHLElBQUksQ0FBQztZQUNkLElBQUksTUFBTSxDQUFDLEVBQUU7Z0JBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO1lBRWhCLEtBQUssSUFBSSxzQkFBc0IsSUFBSSx1QkFBdUIsRUFBRTtnQkFDeEQsTUFBTSxTQUFTLENBQUMsUUFBUSxFQUFFLHNCQUFzQixDQUFDLENBQUM7Z0JBQ2xELFdBQVcsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDO2FBQ25DO1lBRUQsUUFBUSxDQUFDLFVBQVUsR0FBRyxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMscUJBQXFCLENBQUMsQ0FBQztZQUM3RCxRQUFRLENBQUMsZ0JBQWdCLEdBQUcsdUJBQXVCLENBQUMsTUFBTSxDQUFDO1lBQzNELFFBQVEsQ0FBQyxNQUFNLEdBQUcsY0FBYyxDQUFDLE1BQU0sQ0FBQztZQUN4QyxNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUM7U0FDMUM7UUFBQyxPQUFPLEtBQUssRUFBRTtZQUNaLE9BQU8sQ0FBQyxLQUFLLENBQUMsK0JBQStCLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDdkQsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNyQixRQUFRLENBQUMsTUFBTSxHQUFHLGNBQWMsQ0FBQyxNQUFNLENBQUM7WUFDeEMsV0FBVyxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDekMsTUFBTSxZQUFZLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxDQUFDO1NBQzFDO0tBQ0o7QUFDTCxDQUFDO0FBRUQsdUNBQXVDO0FBRXZDLEtBQUssVUFBVSxJQUFJO0lBQ2YseUZBQXlGO0lBQ3pGLHFCQUFxQjtJQUVyQixlQUFlLEVBQUUsQ0FBQztJQUNsQixlQUFlLEVBQUUsQ0FBQztJQUNsQixvQkFBb0IsRUFBRSxDQUFDO0lBRXZCLDJGQUEyRjtJQUUzRixJQUFJLE9BQU8sR0FBRyxjQUFjLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwRCxJQUFJLE9BQU8sQ0FBQyxZQUFZLEtBQUssU0FBUyxJQUFJLENBQUMsT0FBTyxDQUFDLGlCQUFpQixJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtRQUNqRyxNQUFNLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUM1QixPQUFPO0tBQ1Y7SUFFRCwyRkFBMkY7SUFDM0Ysd0NBQXdDO0lBRXhDLElBQUksT0FBTyxDQUFDLGlCQUFpQixFQUFFO1FBQzNCLE1BQU0sa0JBQWtCLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDL0IsT0FBTztLQUNWO0lBRUQsa0VBQWtFO0lBRWxFLElBQUksUUFBUSxHQUFHLE1BQU0sa0JBQWtCLEVBQUUsQ0FBQztJQUUxQyw0RUFBNEU7SUFFNUUsSUFBSSxPQUFPLENBQUMsWUFBWSxLQUFLLFNBQVMsRUFBRTtRQUNwQyxNQUFNLFdBQVcsQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLFlBQVksQ0FBQyxDQUFDO1FBQ2xELE9BQU87S0FDVjtJQUVELDRGQUE0RjtJQUM1Rix3RkFBd0Y7SUFDeEYsMkNBQTJDO0lBRTNDLElBQUk7UUFDQSxNQUFNLGVBQWUsQ0FBQyxRQUFRLENBQUMsQ0FBQztLQUNuQztJQUFDLE9BQU8sS0FBSyxFQUFFO1FBQ1osV0FBVyxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxLQUFLLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDM0csc0JBQXNCLEVBQUUsQ0FBQztRQUN6QixNQUFNLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUMxQixNQUFNLEtBQUssQ0FBQztLQUNmO0lBRUQsc0ZBQXNGO0lBRXRGLHNCQUFzQixFQUFFLENBQUM7SUFDekIsTUFBTSxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUM7QUFDOUIsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
@@ -7,54 +7,321 @@
 "use strict";
 
 import * as cheerio from "cheerio";
-import * as request from "request-promise-native";
 import * as sqlite3 from "sqlite3";
 import * as urlparser from "url";
 import * as moment from "moment";
 import * as pdfjs from "pdfjs-dist";
 import * as fs from "fs";
+import * as crypto from "crypto";
+import * as path from "path";
+import { fetchUrl } from "./fetch";
 
 sqlite3.verbose();
 
 const DevelopmentApplicationsUrl = "https://www.alexandrina.sa.gov.au/loose-pages/development-application-register";
 const CommentUrl = "mailto:alex@alexandrina.sa.gov.au";
 
+// The maximum number of PDFs to download and parse in a single run (avoid processing all PDFs at
+// once because this may use too much memory, resulting in morph.io terminating the current
+// process).  Set MORPH_FORCE_REPARSE to parse PDFs even when their content has not changed.
+
+const DocumentBudget = Math.max(1, Number(process.env.MORPH_DOCUMENT_BUDGET) || 2);
+const ForceReparse = (process.env.MORPH_FORCE_REPARSE !== undefined && process.env.MORPH_FORCE_REPARSE !== "");
+
+// Identifies the current run (used to group the changes made to applications by each run).
+
+const RunId = moment().format("YYYY-MM-DD HH:mm:ss");
+
+// The thresholds beyond which a run is considered to have failed (resulting in a non-zero exit
+// code), so that a change to the layout of the PDFs is noticed.  These are the maximum share of
+// parsed pages that may be skipped, the maximum share of applications that may have each field
+// fall back to its default value (by default this is not checked) and the maximum share of the
+// documents selected for the run that may fail.
+
+const MaximumSkippedPageRatio = getRatio(process.env.MORPH_MAXIMUM_SKIPPED_PAGE_RATIO, 0.5);
+const MaximumDefaultedFieldRatio = getRatio(process.env.MORPH_MAXIMUM_DEFAULTED_FIELD_RATIO, 1.0);
+const MaximumFailedDocumentRatio = getRatio(process.env.MORPH_MAXIMUM_FAILED_DOCUMENT_RATIO, 0.5);
+
 declare const global: any;
 
 // All valid suburb names.
 
 let SuburbNames = null;
 
-// Sets up an sqlite database.
+// The diagnostics recorded for the current run.
+
+let Diagnostics: RunDiagnostics = {
+    runId: RunId,
+    startedDate: RunId,
+    finishedDate: undefined,
+    status: undefined,
+    documentsSelected: 0,
+    documentsFetched: 0,
+    documentsUnchanged: 0,
+    documentsFailed: [],
+    pagesParsed: 0,
+    pagesSkipped: 0,
+    applicationsParsed: 0,
+    applicationsSaved: 0,
+    skippedPages: {},
+    defaultedFields: {},
+    thresholdsExceeded: []
+};
+
+// Street type abbreviations and the corresponding full street types (read from streettypes.txt).
+
+let StreetTypes = null;
+
+// The suburb text (as found in the PDFs) that could not be matched to a known suburb name, along
+// with the numbers of the affected applications.
+
+let UnresolvedSuburbs: { [suburbText: string]: string[] } = {};
 
-async function initializeDatabase() {
+// The fields to extract from each page of a PDF (read from fields.json).
+
+let FieldDefinitions: FieldDefinition[] = null;
+
+// Gets the names of the columns of the specified table (resolving to an empty array if the table
+// does not exist).
+
+async function getColumnNames(database, table: string) {
+    return new Promise<string[]>((resolve, reject) => {
+        database.all(`PRAGMA table_info('${table}')`, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                resolve(rows.map(row => row.name));
+            }
+        });
+    });
+}
+
+// Gets the schema version recorded in the database (zero for a new database or a database created
+// before schema versions were recorded).
+
+async function getSchemaVersion(database) {
+    return new Promise<number>((resolve, reject) => {
+        database.get("PRAGMA user_version", (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                resolve(row.user_version);
+            }
+        });
+    });
+}
+
+// Executes one or more SQL statements.
+
+async function executeSql(database, sql: string) {
     return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
-        database.serialize(() => {
-            database.all("PRAGMA table_info('data')", (error, rows) => {
-                if (rows.some(row => row.name === "on_notice_from"))
-                    database.run("drop table [data]");  // ensure that the on_notice_from (and on_notice_to) columns are removed
-                database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text)");
-                resolve(database);
-            });
+        database.exec(sql, error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                resolve();
+            }
         });
     });
 }
 
-// Inserts a row in the database if it does not already exist.
+// A step that changes the database schema.  The SQL statements for a step are determined from the
+// current state of the database so that existing rows can be retained (for example, by copying
+// rows into a rebuilt table instead of dropping the table).
 
-async function insertRow(database, developmentApplication) {
+interface Migration {
+    version: number,
+    description: string,
+    getStatements: (database) => Promise<string[]>
+}
+
+// The columns of the data table when it is first created.
+
+const InitialDataColumnNames = [ "council_reference", "address", "description", "info_url", "comment_url", "date_scraped", "date_received" ];
+
+// The migration steps in the order that they must be applied.  Steps must never be changed or
+// removed once released; add a new step (with the next version number) to change the schema.  The
+// one exception is the data table columns for the fields configured in fields.json: these are added
+// after the migration steps (see migrateDatabase) so that adding a field only requires a change to
+// fields.json.  The schema version therefore describes every table and column except those.
+
+const Migrations: Migration[] = [
+    {
+        version: 1,
+        description: "Create the data table (rebuilding any existing data table without the on_notice_from and on_notice_to columns)",
+        getStatements: async database => {
+            let createStatement = "create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text)";
+            let columnNames = await getColumnNames(database, "data");
+            if (!columnNames.includes("on_notice_from") && !columnNames.includes("on_notice_to"))
+                return [ createStatement ];
+            let retainedColumnNames = InitialDataColumnNames.filter(columnName => columnNames.includes(columnName));
+            let columns = retainedColumnNames.map(columnName => `[${columnName}]`).join(", ");
+            return [
+                "alter table [data] rename to [data_old]",
+                createStatement,
+                `insert into [data] (${columns}) select ${columns} from [data_old]`,
+                "drop table [data_old]"
+            ];
+        }
+    },
+    {
+        version: 2,
+        description: "Create the documents table",
+        getStatements: async database => [
+            "create table if not exists [documents] ([url] text primary key, [date_first_seen] text, [content_hash] text, [etag] text, [date_checked] text, [date_parsed] text, [application_count] integer, [status] text)"
+        ]
+    },
+    {
+        version: 3,
+        description: "Create the application_revisions table",
+        getStatements: async database => [
+            "create table if not exists [application_revisions] ([council_reference] text, [field] text, [old_value] text, [new_value] text, [info_url] text, [date_scraped] text, [run_id] text)"
+        ]
+    },
+    {
+        version: 4,
+        description: "Create the runs table",
+        getStatements: async database => [
+            "create table if not exists [runs] ([run_id] text primary key, [date_started] text, [date_finished] text, [status] text, [documents_fetched] integer, [pages_parsed] integer, [pages_skipped] integer, [applications_saved] integer, [report] text)"
+        ]
+    }
+];
+
+// Applies any migration steps that have not yet been applied to the database (each step in its own
+// transaction, along with updating the schema version).  When performing a dry run the statements
+// that would be executed are reported instead.
+
+async function migrateDatabase(database, isDryRun: boolean) {
+    let schemaVersion = await getSchemaVersion(database);
+    let pendingMigrations = Migrations.filter(migration => migration.version > schemaVersion);
+    if (pendingMigrations.length === 0 && isDryRun)
+        console.log(`The database schema is up to date (version ${schemaVersion}).`);
+
+    for (let migration of pendingMigrations) {
+        let statements = await migration.getStatements(database);
+        if (isDryRun) {
+            console.log(`Would migrate the database schema to version ${migration.version}: ${migration.description}`);
+            for (let statement of statements)
+                console.log(`    ${statement};`);
+        } else {
+            console.log(`Migrating the database schema to version ${migration.version}: ${migration.description}`);
+            await executeSql(database, [ "begin transaction" ].concat(statements, [ `PRAGMA user_version = ${migration.version}`, "commit" ]).join(";\n"));
+        }
+    }
+
+    // Add a column to the data table for any field in fields.json that does not yet have one (so
+    // that adding a field only requires a change to fields.json).  Existing rows are retained.
+
+    let columnNames = await getColumnNames(database, "data");
+    if (columnNames.length === 0 && isDryRun)
+        columnNames = InitialDataColumnNames;  // the data table would have been created by the first migration step
+    for (let fieldDefinition of FieldDefinitions) {
+        if (fieldDefinition.column === undefined || columnNames.includes(fieldDefinition.column))
+            continue;
+        let statement = `alter table [data] add column [${fieldDefinition.column}] ${(fieldDefinition.type === FieldType.Currency) ? "real" : "text"}`;
+        if (isDryRun) {
+            console.log(`Would add a column to the data table for the "${fieldDefinition.label}" field:`);
+            console.log(`    ${statement};`);
+        } else {
+            console.log(`Adding a column to the data table for the "${fieldDefinition.label}" field.`);
+            await executeSql(database, statement);
+        }
+    }
+}
+
+// Sets up an sqlite database (migrating the schema of an existing database if necessary).
+
+async function initializeDatabase(isDryRun: boolean = false) {
+    let database = isDryRun ?
+        new sqlite3.Database(fs.existsSync("data.sqlite") ? "data.sqlite" : ":memory:", sqlite3.OPEN_READONLY) :  // a dry run never changes the database
+        new sqlite3.Database("data.sqlite");
+    await migrateDatabase(database, isDryRun);
+    return database;
+}
+
+// Gets the columns of the data table (along with the corresponding development application
+// properties).  This is the fixed columns plus a column for each field that has one configured in
+// fields.json.
+
+function getDataColumns() {
+    let dataColumns = [
+        { column: "address", property: "address" },
+        { column: "info_url", property: "informationUrl" },
+        { column: "comment_url", property: "commentUrl" },
+        { column: "date_scraped", property: "scrapeDate" }
+    ];
+    for (let fieldDefinition of FieldDefinitions)
+        if (fieldDefinition.column !== undefined)
+            dataColumns.push({ column: fieldDefinition.column, property: fieldDefinition.name });
+    return dataColumns;
+}
+
+// Reads the existing row for the specified application from the database (resolving to undefined
+// if there is no such row).
+
+async function getRow(database, applicationNumber: string) {
+    return new Promise<any>((resolve, reject) => {
+        database.get("select * from [data] where [council_reference] = ?", [ applicationNumber ], (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                resolve(row);
+            }
+        });
+    });
+}
+
+// Records a change to a single field of an application.
+
+async function insertRevision(database, developmentApplication, field: string, oldValue: string, newValue: string) {
     return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?)");
+        let sqlStatement = database.prepare("insert into [application_revisions] values (?, ?, ?, ?, ?, ?, ?)");
         sqlStatement.run([
             developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
+            field,
+            oldValue,
+            newValue,
             developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
             developmentApplication.scrapeDate,
-            developmentApplication.receivedDate
+            RunId
         ], function(error, row) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                sqlStatement.finalize();  // releases any locks
+                resolve(row);
+            }
+        });
+    });
+}
+
+// Inserts a row in the database (or updates the existing row), first recording the old and new
+// value of each field that has changed as a revision (a new application is recorded as a change
+// from null for every field).
+
+async function insertRow(database, developmentApplication) {
+    let dataColumns = getDataColumns();
+    let existingRow = await getRow(database, developmentApplication.applicationNumber);
+    for (let revisionField of dataColumns.filter(dataColumn => dataColumn.column !== "council_reference" && dataColumn.column !== "date_scraped")) {
+        let oldValue = (existingRow === undefined || existingRow[revisionField.column] === undefined) ? null : existingRow[revisionField.column];
+        let newValue = (developmentApplication[revisionField.property] === undefined) ? null : developmentApplication[revisionField.property];
+        if (((oldValue === null) ? "" : oldValue) !== ((newValue === null) ? "" : newValue)) {  // a missing value (such as in a newly added column) is the same as an empty value
+            if (existingRow !== undefined)
+                console.log(`    Application \"${developmentApplication.applicationNumber}\" changed ${revisionField.column} from \"${oldValue}\" to \"${newValue}\".`);
+            await insertRevision(database, developmentApplication, revisionField.column, oldValue, newValue);
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        let columns = dataColumns.map(dataColumn => `[${dataColumn.column}]`).join(", ");
+        let parameters = dataColumns.map(dataColumn => "?").join(", ");
+        let sqlStatement = database.prepare(`insert or replace into [data] (${columns}) values (${parameters})`);
+        sqlStatement.run(dataColumns.map(dataColumn => developmentApplication[dataColumn.property]), function(error, row) {
             if (error) {
                 console.error(error);
                 reject(error);
@@ -67,6 +334,243 @@ async function insertRow(database, developmentApplication) {
     });
 }
 
+// Gets the identifier of the most recent run (from the runs table, which records every run, or else
+// from the revisions recorded by runs made before the runs table existed).  Resolves to undefined if
+// no run has been recorded.
+
+async function getLatestRunId(database) {
+    return new Promise<string>((resolve, reject) => {
+        database.get("select max([run_id]) as [run_id] from (select [run_id] from [runs] union select [run_id] from [application_revisions])", (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                resolve((row === undefined || row.run_id === null) ? undefined : row.run_id);
+            }
+        });
+    });
+}
+
+// Reads the changes made to applications by the specified run.
+
+async function getRevisions(database, runId: string) {
+    return new Promise<any[]>((resolve, reject) => {
+        database.all("select * from [application_revisions] where [run_id] = ? order by [rowid]", [ runId ], (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+// Lists the changes made to applications by the specified run (or by the most recent run if
+// "latest" is specified).
+
+async function listChanges(database, runId: string) {
+    if (runId === "latest") {
+        runId = await getLatestRunId(database);
+        if (runId === undefined) {
+            console.log("No runs have been recorded.");
+            return;
+        }
+    }
+
+    let revisions = await getRevisions(database, runId);
+    if (revisions.length === 0) {
+        console.log(`No changes were made by run: ${runId}`);
+        return;
+    }
+
+    console.log(`Changes made by run: ${runId}`);
+    for (let revision of revisions) {
+        if (revision.old_value === null)
+            console.log(`    ${revision.council_reference}: ${revision.field} set to "${revision.new_value}" (from ${revision.info_url})`);
+        else
+            console.log(`    ${revision.council_reference}: ${revision.field} changed from "${revision.old_value}" to "${revision.new_value}" (from ${revision.info_url})`);
+    }
+}
+
+// The diagnostics for a run: counts of the documents, pages and applications processed, the pages
+// that were skipped (grouped by reason) and the number of applications for which each field fell
+// back to its default value.
+
+interface RunDiagnostics {
+    runId: string,
+    startedDate: string,
+    finishedDate: string,
+    status: string,
+    documentsSelected: number,
+    documentsFetched: number,
+    documentsUnchanged: number,
+    documentsFailed: string[],
+    pagesParsed: number,
+    pagesSkipped: number,
+    applicationsParsed: number,
+    applicationsSaved: number,
+    skippedPages: { [reason: string]: { url: string, pageNumber: number, applicationNumber: string }[] },
+    defaultedFields: { [field: string]: number },
+    thresholdsExceeded: string[]
+}
+
+// Records that a page was skipped (and the reason why).
+
+function recordSkippedPage(url: string, pageNumber: number, applicationNumber: string, reason: string) {
+    console.log(`Ignoring application ${applicationNumber} on page ${pageNumber} because there is ${reason}.`);
+    Diagnostics.pagesSkipped++;
+    Diagnostics.skippedPages[reason] = (Diagnostics.skippedPages[reason] || []).concat([ { url: url, pageNumber: pageNumber, applicationNumber: applicationNumber } ]);
+}
+
+// Completes the diagnostics for the run, checking them against the failure thresholds (setting a
+// non-zero exit code if any threshold is exceeded), and writes them to runreport.json (and to the
+// runs table if a database is specified).
+
+async function finishRun(database) {
+    Diagnostics.finishedDate = moment().format("YYYY-MM-DD HH:mm:ss");
+
+    if (Diagnostics.pagesParsed > 0 && Diagnostics.pagesSkipped / Diagnostics.pagesParsed > MaximumSkippedPageRatio)
+        Diagnostics.thresholdsExceeded.push(`Skipped ${Diagnostics.pagesSkipped} of ${Diagnostics.pagesParsed} page(s), which is more than the maximum ratio of ${MaximumSkippedPageRatio}.`);
+    for (let field in Diagnostics.defaultedFields)
+        if (Diagnostics.applicationsParsed > 0 && Diagnostics.defaultedFields[field] / Diagnostics.applicationsParsed > MaximumDefaultedFieldRatio)
+            Diagnostics.thresholdsExceeded.push(`The "${field}" field fell back to its default value for ${Diagnostics.defaultedFields[field]} of ${Diagnostics.applicationsParsed} application(s), which is more than the maximum ratio of ${MaximumDefaultedFieldRatio}.`);
+    if (Diagnostics.documentsSelected > 0 && Diagnostics.documentsFailed.length / Diagnostics.documentsSelected > MaximumFailedDocumentRatio)
+        Diagnostics.thresholdsExceeded.push(`Failed to process ${Diagnostics.documentsFailed.length} of ${Diagnostics.documentsSelected} document(s), which is more than the maximum ratio of ${MaximumFailedDocumentRatio}.`);
+    Diagnostics.status = (Diagnostics.thresholdsExceeded.length === 0) ? "succeeded" : "failed";
+
+    console.log(`Fetched ${Diagnostics.documentsFetched} document(s) (${Diagnostics.documentsUnchanged} unchanged and ${Diagnostics.documentsFailed.length} failed), parsed ${Diagnostics.pagesParsed} page(s), skipped ${Diagnostics.pagesSkipped} page(s) and saved ${Diagnostics.applicationsSaved} application(s).`);
+    for (let thresholdExceeded of Diagnostics.thresholdsExceeded)
+        console.error(thresholdExceeded);
+    if (Diagnostics.thresholdsExceeded.length > 0)
+        process.exitCode = 1;
+
+    fs.writeFileSync("runreport.json", JSON.stringify(Diagnostics, null, 4) + "\n");
+    if (database === undefined)
+        return;
+
+    return new Promise((resolve, reject) => {
+        let sqlStatement = database.prepare("insert or replace into [runs] values (?, ?, ?, ?, ?, ?, ?, ?, ?)");
+        sqlStatement.run([
+            Diagnostics.runId,
+            Diagnostics.startedDate,
+            Diagnostics.finishedDate,
+            Diagnostics.status,
+            Diagnostics.documentsFetched,
+            Diagnostics.pagesParsed,
+            Diagnostics.pagesSkipped,
+            Diagnostics.applicationsSaved,
+            JSON.stringify(Diagnostics)
+        ], function(error, row) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                sqlStatement.finalize();  // releases any locks
+                resolve(row);
+            }
+        });
+    });
+}
+
+// A PDF document listed on the development application register page, along with the progress
+// made in parsing it.
+
+interface Document {
+    url: string,
+    firstSeenDate: string,
+    contentHash: string,
+    etag: string,
+    checkedDate: string,
+    parsedDate: string,
+    applicationCount: number,
+    status: DocumentStatus
+}
+
+// The state of a PDF document.  A document left as "parsing" was interrupted (for example, by
+// morph.io terminating the process) and so is treated the same as a pending document.
+
+enum DocumentStatus {
+    Pending = "pending",
+    Parsing = "parsing",
+    Parsed = "parsed",
+    Failed = "failed"
+}
+
+// Reads all previously seen PDF documents from the database (keyed by URL).
+
+async function getDocuments(database) {
+    return new Promise<{ [url: string]: Document }>((resolve, reject) => {
+        database.all("select * from [documents]", (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                let documents: { [url: string]: Document } = {};
+                for (let row of rows)
+                    documents[row.url] = {
+                        url: row.url,
+                        firstSeenDate: row.date_first_seen,
+                        contentHash: row.content_hash,
+                        etag: row.etag,
+                        checkedDate: row.date_checked,
+                        parsedDate: row.date_parsed,
+                        applicationCount: row.application_count,
+                        status: row.status
+                    };
+                resolve(documents);
+            }
+        });
+    });
+}
+
+// Inserts or updates the details of a PDF document in the database.
+
+async function saveDocument(database, document: Document) {
+    return new Promise((resolve, reject) => {
+        let sqlStatement = database.prepare("insert or replace into [documents] values (?, ?, ?, ?, ?, ?, ?, ?)");
+        sqlStatement.run([
+            document.url,
+            document.firstSeenDate,
+            document.contentHash,
+            document.etag,
+            document.checkedDate,
+            document.parsedDate,
+            document.applicationCount,
+            document.status
+        ], function(error, row) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                sqlStatement.finalize();  // releases any locks
+                resolve(row);
+            }
+        });
+    });
+}
+
+// Determines the order in which to process the PDF documents listed on the register page (which
+// are listed most recent first).  The most recent document is always checked first because new
+// applications are appended to it.  Then any documents not yet successfully parsed are processed
+// (in the order listed), followed by previously failed documents, and finally documents that were
+// already parsed (least recently checked first) so that any changes to them are eventually found.
+
+function orderDocuments(pdfUrls: string[], documents: { [url: string]: Document }) {
+    let pendingUrls = pdfUrls.filter(url => documents[url].status === DocumentStatus.Pending || documents[url].status === DocumentStatus.Parsing);
+    let failedUrls = pdfUrls.filter(url => documents[url].status === DocumentStatus.Failed);
+    let parsedUrls = pdfUrls.filter(url => documents[url].status === DocumentStatus.Parsed);
+    parsedUrls.sort((url1, url2) => (documents[url1].checkedDate || "").localeCompare(documents[url2].checkedDate || ""));
+
+    let orderedUrls: string[] = [];
+    if (documents[pdfUrls[0]].status === DocumentStatus.Parsed)
+        orderedUrls.push(pdfUrls[0]);
+    for (let url of pendingUrls.concat(failedUrls, parsedUrls))
+        if (!orderedUrls.includes(url))
+            orderedUrls.push(url);
+    return orderedUrls;
+}
+
 // An element (consisting of text and a bounding rectangle) in a PDF document.
 
 interface Element {
@@ -84,6 +588,83 @@ enum Direction {
     Down
 }
 
+// The type of value extracted for a field.
+
+enum FieldType {
+    Text = "text",
+    Date = "date",
+    Currency = "currency"
+}
+
+// How the value of a field is extracted: either the single element nearest to the label or all
+// elements in the region next to the label (for values that wrap over several lines or that are
+// split into several text runs).
+
+enum Extraction {
+    Nearest = "nearest",
+    Region = "region"
+}
+
+// A field to extract from each page of a PDF, found by searching in the specified direction from
+// the label text (which must match the text of an element exactly, unless matchPrefix is set, in
+// which case an element that starts with the label text is used if there is no exact match).  The
+// value is stored in the specified column of the data table (fields without a column, such as the
+// parts of the address, are only used to construct other values).
+
+interface FieldDefinition {
+    name: string,
+    label: string,
+    direction: string,
+    type: FieldType,
+    required: boolean,
+    matchPrefix?: boolean,
+    extraction?: Extraction,
+    stopLabels?: string[],
+    column?: string,
+    default?: string
+}
+
+// Label text that ends a region (along with whether text that starts with the label text also ends
+// the region).
+
+interface StopLabel {
+    text: string,
+    matchPrefix: boolean
+}
+
+// Reads the definitions of the fields to extract from each page of a PDF.
+
+function readFieldDefinitions() {
+    FieldDefinitions = JSON.parse(fs.readFileSync(path.join(__dirname, "fields.json")).toString());
+    for (let fieldDefinition of FieldDefinitions) {
+        if (!/^(right|down)$/.test(fieldDefinition.direction))
+            throw new Error(`The "${fieldDefinition.name}" field in fields.json has an unrecognised direction: ${fieldDefinition.direction}`);
+        if (![ FieldType.Text, FieldType.Date, FieldType.Currency ].includes(fieldDefinition.type))
+            throw new Error(`The "${fieldDefinition.name}" field in fields.json has an unrecognised type: ${fieldDefinition.type}`);
+        if (fieldDefinition.extraction === undefined)
+            fieldDefinition.extraction = Extraction.Nearest;
+        else if (![ Extraction.Nearest, Extraction.Region ].includes(fieldDefinition.extraction))
+            throw new Error(`The "${fieldDefinition.name}" field in fields.json has an unrecognised extraction: ${fieldDefinition.extraction}`);
+        if (fieldDefinition.stopLabels !== undefined && (!Array.isArray(fieldDefinition.stopLabels) || fieldDefinition.stopLabels.some(stopLabel => typeof stopLabel !== "string")))
+            throw new Error(`The "${fieldDefinition.name}" field in fields.json has invalid stop labels (expected an array of text).`);
+    }
+}
+
+// Converts the text found for a field to a value of the type configured for the field (resolving
+// to the configured default, or else an empty string or null, if there is no valid value).
+
+function convertFieldValue(fieldDefinition: FieldDefinition, text: string) {
+    text = (text === undefined) ? "" : text.trim();
+    if (fieldDefinition.type === FieldType.Date) {
+        let date = moment(text, "D/MM/YYYY", true);  // allows the leading zero of the day to be omitted
+        return date.isValid() ? date.format("YYYY-MM-DD") : (fieldDefinition.default || "");
+    } else if (fieldDefinition.type === FieldType.Currency) {
+        let amount = Number(text.replace(/[$,\s]/g, ""));
+        return (text.replace(/[$,\s]/g, "") === "" || isNaN(amount)) ? (fieldDefinition.default === undefined ? null : Number(fieldDefinition.default)) : amount;
+    }
+    return (text === "") ? (fieldDefinition.default || "") : text;
+}
+
 // Calculates the square of the Euclidean distance between two elements in the specified direction.
 
 function calculateDistance(element1: Element, element2: Element, direction: Direction) {
@@ -113,38 +694,240 @@ function isOverlap(element1: Element, element2: Element, direction: Direction) {
     return false;
 }
 
-// Finds the closest element either right or down from the element with the specified text.
+// Determines whether the element is a label with the specified text (ignoring case and any
+// trailing colon).
+
+function isLabel(element: Element, text: string) {
+    return element.text.trim().toLowerCase().replace(/:$/, "") === text.toLowerCase();
+}
 
-function findClosestElement(elements: Element[], text: string, direction: Direction) {
-    text = text.toLowerCase();
-    let matchingElement = elements.find(element => element.text.trim().toLowerCase().startsWith(text));
-    if (matchingElement === undefined)
-        return undefined;
+// Finds the element with the specified text (or else, if allowed, the first element that starts
+// with the specified text).
+
+function findLabelElement(elements: Element[], text: string, matchPrefix: boolean) {
+    let matchingElement = elements.find(element => isLabel(element, text));  // prefer an exact match (so that "Decision" does not match "Decision Date")
+    if (matchingElement === undefined && matchPrefix)
+        matchingElement = elements.find(element => element.text.trim().toLowerCase().startsWith(text.toLowerCase()));
+    return matchingElement;
+}
 
+// Determines whether the element looks like a label that ends a region: text ending in a colon, or
+// text that matches one of the specified labels in the same way that findLabelElement matches a
+// label (exactly, or else starting with the label text if prefix matching is allowed).
+
+function isStopLabel(element: Element, stopLabels: StopLabel[]) {
+    let text = element.text.trim().toLowerCase();
+    if (text.length > 1 && text.endsWith(":"))
+        return true;
+    return stopLabels.some(stopLabel => isLabel(element, stopLabel.text) || (stopLabel.matchPrefix && text.startsWith(stopLabel.text.toLowerCase())));
+}
+
+// Finds the closest element either right or down from the specified label element.  The label
+// element is never itself returned and neither is an element in the opposite direction (left or
+// up) or an element beyond the next label (see isStopLabel), so that a label without a value
+// results in undefined (rather than, say, the text of a label in the next column).
+
+function findClosestElement(elements: Element[], labelElement: Element, direction: Direction, stopLabels: StopLabel[]) {
     let closestElement: Element = { text: undefined, x: Number.MAX_VALUE, y: Number.MAX_VALUE, width: 0, height: 0 };
-    for (let element of elements)
-        if (isOverlap(matchingElement, element, direction) && calculateDistance(matchingElement, element, direction) < calculateDistance(matchingElement, closestElement, direction))
+    for (let element of elements) {
+        if (element === labelElement || !isOverlap(labelElement, element, direction))
+            continue;
+        let distance = calculateDistance(labelElement, element, direction);
+        if (distance < Number.MAX_VALUE && distance < calculateDistance(labelElement, closestElement, direction))
             closestElement = element;
-            
-    return (closestElement.text === undefined) ? undefined : closestElement;
+    }
+
+    return (closestElement.text === undefined || isStopLabel(closestElement, stopLabels)) ? undefined : closestElement;
 }
 
-// Reads and parses development application details from the specified PDF.
+// Finds all elements in the region either right or down from the specified label element.  To the
+// right, the region starts at the closest element; down, the region starts immediately below the
+// label.  The region ends at the next label (see isStopLabel) or at a gap (more than one line
+// height below the previous line, or more than two character heights to the right of the previous
+// element on the same line).  The text of the elements is joined in reading order (top to bottom,
+// then left to right).
 
-async function parsePdf(url: string) {
-    let developmentApplications = [];
+function findRegionText(elements: Element[], labelElement: Element, direction: Direction, stopLabels: StopLabel[]) {
+    let labelElements = elements.filter(element => element !== labelElement && isStopLabel(element, stopLabels));
+    let regionElements: Element[] = [];
 
-    // Read the PDF.
+    if (direction === Direction.Right) {
+        // Collect the elements on the same line, moving to the right until a label or a gap.
+
+        let closestElement = findClosestElement(elements, labelElement, direction, stopLabels);
+        if (closestElement === undefined)
+            return undefined;
+
+        let lineElements = elements.filter(element => element !== labelElement && isOverlap(labelElement, element, direction) && element.x >= closestElement.x);
+        lineElements.sort((element1, element2) => element1.x - element2.x);
+        for (let element of lineElements) {
+            if (labelElements.includes(element))
+                break;
+            let previousElement = regionElements[regionElements.length - 1];
+            if (previousElement !== undefined && element.x - (previousElement.x + previousElement.width) > 2 * previousElement.height)
+                break;
+            regionElements.push(element);
+        }
+    } else if (direction === Direction.Down) {
+        // Collect the elements below the label (and not to the left of it), stopping before the
+        // next label to the right on the same line as the label (which starts another column).
+
+        let columnLimit = Number.MAX_VALUE;
+        for (let element of labelElements)
+            if (isOverlap(labelElement, element, Direction.Right) && element.x > labelElement.x)
+                columnLimit = Math.min(columnLimit, element.x);
+
+        let columnElements = elements.filter(element => element !== labelElement && element.y > labelElement.y + labelElement.height / 2 && element.x + element.width > labelElement.x && element.x < columnLimit);
+        columnElements.sort((element1, element2) => (element1.y - element2.y) || (element1.x - element2.x));
+
+        // Group the elements into lines, moving down until a line containing a label or a gap (the
+        // label itself is treated as the line above the first line).
+
+        let previousLine: Element[] = [ labelElement ];
+        let line: Element[] = [];
+        for (let element of columnElements.concat([ undefined ])) {
+            if (element !== undefined && line.length > 0 && isOverlap(line[0], element, Direction.Right)) {
+                line.push(element);
+                continue;
+            }
+            if (line.length > 0) {
+                if (line.some(lineElement => labelElements.includes(lineElement)))
+                    break;
+                let lineTop = Math.min(...line.map(lineElement => lineElement.y));
+                let previousLineBottom = Math.max(...previousLine.map(lineElement => lineElement.y + lineElement.height));
+                let previousLineHeight = Math.max(...previousLine.map(lineElement => lineElement.height));
+                if (lineTop - previousLineBottom > previousLineHeight)
+                    break;
+                line.sort((element1, element2) => element1.x - element2.x);
+                let gapIndex = line.findIndex((lineElement, index) => index > 0 && lineElement.x - (line[index - 1].x + line[index - 1].width) > 2 * line[index - 1].height);
+                if (gapIndex >= 0)
+                    line = line.slice(0, gapIndex);  // ignore anything separated by a gap (such as another column)
+                regionElements.push(...line);
+                previousLine = line;
+            }
+            line = (element === undefined) ? [] : [ element ];
+        }
+    }
 
-    let buffer = await request({ url: url, proxy: process.env.MORPH_PROXY, encoding: null });
-    await sleep(2000 + getRandom(0, 5) * 1000);
+    return regionElements.map(element => element.text.trim()).filter(elementText => elementText !== "").join(" ").replace(/\s\s+/g, " ");
+}
+
+// Removes stray glyphs (such as "ü" characters that appear in place of spaces, control characters
+// and other non-printable characters) and collapses whitespace.
+
+function cleanText(text: string) {
+    return (text === undefined) ? "" : text
+        .replace(/Ã¼/g, " ")
+        .replace(/ü/g, " ")
+        .replace(/[\u0000-\u001f\u007f-\u00a0\u00ad\u2000-\u200f\u2028-\u202f\ufeff\ufffd]/g, " ")
+        .replace(/\s\s+/g, " ")
+        .trim();
+}
+
+// Calculates the Levenshtein distance between two strings (the minimum number of single character
+// insertions, deletions and substitutions required to change one string into the other).
+
+function calculateEditDistance(text1: string, text2: string) {
+    let previousRow = Array.from({ length: text2.length + 1 }, (value, index) => index);
+    for (let index1 = 1; index1 <= text1.length; index1++) {
+        let row = [ index1 ];
+        for (let index2 = 1; index2 <= text2.length; index2++)
+            row.push(Math.min(
+                previousRow[index2] + 1,
+                row[index2 - 1] + 1,
+                previousRow[index2 - 1] + ((text1[index1 - 1] === text2[index2 - 1]) ? 0 : 1)));
+        previousRow = row;
+    }
+    return previousRow[text2.length];
+}
+
+// Finds the suburb name (including the state and post code) that matches the specified suburb text.
+// The match ignores case and any state and post code already present, also allows for the suburb
+// name being repeated (for example, "GOOLWA GOOLWA") and tolerates minor typographical errors
+// (one incorrect character in a short suburb name or two in a longer suburb name, as long as only
+// one known suburb name is that close).  Returns undefined if there is no match.
+
+function findSuburbName(suburbText: string) {
+    suburbText = suburbText.toUpperCase().replace(/\s+SA(\s+\d{4})?$/, "").trim();
+
+    let suburbName = SuburbNames[suburbText];
+    if (suburbName !== undefined)
+        return suburbName;
+
+    for (let knownSuburbName in SuburbNames)
+        if (knownSuburbName + " " + knownSuburbName === suburbText)
+            return SuburbNames[knownSuburbName];  // adds the state and postcode
+
+    let closestSuburbNames: string[] = [];
+    let closestDistance = (suburbText.length <= 6) ? 1 : 2;  // the maximum tolerated distance
+    for (let knownSuburbName in SuburbNames) {
+        let distance = calculateEditDistance(suburbText, knownSuburbName);
+        if (distance < closestDistance) {
+            closestSuburbNames = [ knownSuburbName ];
+            closestDistance = distance;
+        } else if (distance === closestDistance) {
+            closestSuburbNames.push(knownSuburbName);
+        }
+    }
+    return (closestSuburbNames.length === 1) ? SuburbNames[closestSuburbNames[0]] : undefined;  // an ambiguous match is treated as no match
+}
+
+// Expands an abbreviated street type at the end of the street name (for example, "Cadell St"
+// becomes "Cadell Street"), matching the case of the original abbreviation.
+
+function standardiseStreetType(street: string) {
+    let words = street.split(" ");
+    if (words.length < 2)
+        return street;
+    let abbreviation = words[words.length - 1].replace(/\.$/, "");
+    let streetType = StreetTypes[abbreviation.toUpperCase()];
+    if (streetType === undefined)
+        return street;
+    if (abbreviation !== abbreviation.toUpperCase())
+        streetType = streetType.charAt(0) + streetType.substring(1).toLowerCase();  // for example, "Rd" becomes "Road"
+    words[words.length - 1] = streetType;
+    return words.join(" ");
+}
+
+// Constructs a normalised address from the house number, street and suburb text found in a PDF,
+// indicating whether the suburb was resolved to a known suburb name (if not then the original
+// suburb text is used, without any state or post code).
+
+function normaliseAddress(houseNumber: string, street: string, suburb: string) {
+    let address = cleanText(houseNumber);
+    street = standardiseStreetType(cleanText(street));
+    if (street !== "")
+        address += ((address === "") ? "" : " ") + street;
+
+    let suburbText = cleanText(suburb);
+    let suburbName = findSuburbName(suburbText);
+    address += ((address === "") ? "" : ", ") + ((suburbName === undefined) ? suburbText : suburbName);  // fall back to whatever the original text was
+
+    return { address: address.trim(), isSuburbResolved: (suburbName !== undefined) };
+}
+
+// Writes the suburb text that could not be resolved in this run (so that suburbnames.txt can be
+// extended as needed).
+
+function writeUnresolvedSuburbs() {
+    let unresolvedSuburbs = Object.keys(UnresolvedSuburbs).sort().map(suburbText => ({ suburb: suburbText, applicationNumbers: UnresolvedSuburbs[suburbText] }));
+    fs.writeFileSync("unresolvedsuburbs.json", JSON.stringify(unresolvedSuburbs, null, 4) + "\n");
+    if (unresolvedSuburbs.length > 0)
+        console.log(`Wrote ${unresolvedSuburbs.length} unresolved suburb name(s) to: unresolvedsuburbs.json`);
+}
+
+// Reads and parses development application details from the specified PDF.
+
+async function parsePdf(url: string, buffer: Buffer) {
+    let developmentApplications = [];
 
     // Parse the PDF.  Each page has details of a single application.
 
-    const pdf = await pdfjs.getDocument({ data: buffer });
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer) });  // pdfjs does not correctly read a Node.js Buffer
 
     for (let index = 0; index < pdf.numPages; index++) {
         let page = await pdf.getPage(index + 1);
+        Diagnostics.pagesParsed++;
 
         // Construct a text element for each item from the parsed PDF information.
 
@@ -155,68 +938,69 @@ async function parsePdf(url: string) {
             return { text: item.str, x: transform[4], y: transform[5], width: item.width, height: item.height };
         })
 
-        // Find the application number, description, received date and address in the elements
-        // (based on proximity to known text such as "Dev App No").
-
-        let applicationNumberElement = findClosestElement(elements, "Application No", Direction.Right);
-        let descriptionElement = findClosestElement(elements, "Development Description", Direction.Down);
-        let receivedDateElement = findClosestElement(elements, "Application received", Direction.Right);
-        let houseNumberElement = findClosestElement(elements, "Property House No", Direction.Right);
-        let streetElement = findClosestElement(elements, "Property Street", Direction.Right);
-        let suburbElement = findClosestElement(elements, "Property Suburb", Direction.Right);
-
-        let address = "";
-        if (houseNumberElement !== undefined)
-            address += houseNumberElement.text.replace(/Ã¼/g, " ").replace(/ü/g, " ").replace(/\s\s+/g, " ").trim();
-        if (streetElement !== undefined)
-            address += ((address === "") ? "" : " ") + streetElement.text.replace(/Ã¼/g, " ").replace(/ü/g, " ").replace(/\s\s+/g, " ").trim();
-        if (suburbElement === undefined || suburbElement.text.trim() === "" || suburbElement.text.trim() === "0") {
-            let applicationNumber = (applicationNumberElement === undefined) ? "" : applicationNumberElement.text.trim();
-            console.log(`Ignoring application ${applicationNumber} because there is no suburb.`);
-            continue;
+        // Find the value of each configured field in the elements (based on proximity to known
+        // text such as "Application No").
+
+        let values = {};
+        let stopLabels: StopLabel[] = FieldDefinitions.map(fieldDefinition => ({ text: fieldDefinition.label, matchPrefix: fieldDefinition.matchPrefix === true }));
+        for (let fieldDefinition of FieldDefinitions) {
+            let direction = (fieldDefinition.direction === "down") ? Direction.Down : Direction.Right;
+            let labelElement = findLabelElement(elements, fieldDefinition.label, fieldDefinition.matchPrefix === true);
+            let fieldStopLabels = stopLabels.concat((fieldDefinition.stopLabels || []).map(stopLabel => ({ text: stopLabel, matchPrefix: fieldDefinition.matchPrefix === true })));
+            let text: string = undefined;
+            if (labelElement !== undefined && fieldDefinition.extraction === Extraction.Region) {
+                text = findRegionText(elements, labelElement, direction, fieldStopLabels);
+            } else if (labelElement !== undefined) {
+                let element = findClosestElement(elements, labelElement, direction, fieldStopLabels);
+                text = (element === undefined) ? undefined : element.text;
+            }
+            values[fieldDefinition.name] = convertFieldValue(fieldDefinition, text);
         }
 
-        // Attempt to add the state and post code to the suburb.
+        let applicationNumber = (values["applicationNumber"] || "").replace(/\s/g, "");
+        let missingFieldDefinition = FieldDefinitions.find(fieldDefinition => fieldDefinition.required && (values[fieldDefinition.name] === "" || values[fieldDefinition.name] === null));
+        if (missingFieldDefinition !== undefined) {
+            recordSkippedPage(url, index + 1, applicationNumber, `no value for "${missingFieldDefinition.label}"`);
+            continue;
+        }
 
-        let suburbText = suburbElement.text.replace(/Ã¼/g, " ").replace(/ü/g, " ").replace(/\s\s+/g, " ").trim();
-        let suburbName = SuburbNames[suburbText];
-        if (suburbName === undefined) {
-            for (let knownSuburbName in SuburbNames)
-                if (knownSuburbName + " " + knownSuburbName === suburbText) {
-                    suburbName = SuburbNames[knownSuburbName];  // adds the state and postcode
-                    break;
-                }
-            if (suburbName === undefined)
-                suburbName = suburbText;  // fall back to whatever the original text was
+        if (values["suburb"] === undefined || cleanText(values["suburb"]) === "" || cleanText(values["suburb"]) === "0") {
+            recordSkippedPage(url, index + 1, applicationNumber, "no suburb");
+            continue;
         }
 
-        address += ((address === "") ? "" : ", ") + suburbName;
-        address = address.trim();
+        let { address, isSuburbResolved } = normaliseAddress(values["houseNumber"], values["street"], values["suburb"]);
+        if (!isSuburbResolved) {
+            let suburbText = cleanText(values["suburb"]);
+            console.log(`    Could not resolve the suburb \"${suburbText}\" of application \"${applicationNumber}\" to a known suburb name.`);
+            UnresolvedSuburbs[suburbText] = (UnresolvedSuburbs[suburbText] || []).concat([ applicationNumber ]);
+        }
 
         // Ensure that the development application details are valid.
 
-        if (applicationNumberElement === undefined || applicationNumberElement.text.trim() === "" || address === "") {
-            console.log("Ignoring application because there is either no application number or no address.");
+        if (applicationNumber === "" || address === "") {
+            recordSkippedPage(url, index + 1, applicationNumber, "either no application number or no address");
             continue;
         }
 
-        let receivedDate = moment.invalid();
-        if (receivedDateElement !== undefined)
-            receivedDate = moment(receivedDateElement.text.trim(), "D/MM/YYYY", true);  // allows the leading zero of the day to be omitted
-
-        let description = "NO DESCRIPTION PROVIDED";
-        if (descriptionElement !== null && descriptionElement.text.trim() !== "")
-            description = descriptionElement.text.trim();
-
         let developmentApplication = {
-            applicationNumber: applicationNumberElement.text.trim().replace(/\s/g, ""),
+            applicationNumber: applicationNumber,
             address: address,
-            description: description,
             informationUrl: url,
             commentUrl: CommentUrl,
-            scrapeDate: moment().format("YYYY-MM-DD"),
-            receivedDate: receivedDate.isValid() ? receivedDate.format("YYYY-MM-DD") : ""
-        }
+            scrapeDate: moment().format("YYYY-MM-DD")
+        };
+
+        for (let fieldDefinition of FieldDefinitions)
+            if (fieldDefinition.column !== undefined && fieldDefinition.name !== "applicationNumber")
+                developmentApplication[fieldDefinition.name] = values[fieldDefinition.name];
+
+        // Count the fields that fell back to their default values (such as an empty received date).
+
+        Diagnostics.applicationsParsed++;
+        for (let fieldDefinition of FieldDefinitions)
+            if (values[fieldDefinition.name] === convertFieldValue(fieldDefinition, undefined))
+                Diagnostics.defaultedFields[fieldDefinition.name] = (Diagnostics.defaultedFields[fieldDefinition.name] || 0) + 1;
 
         developmentApplications.push(developmentApplication);
     }
@@ -224,39 +1008,45 @@ async function parsePdf(url: string) {
     return developmentApplications;
 }
 
-// Gets a random integer in the specified range: [minimum, maximum).
+// Downloads the specified PDF (or reads it from the cache if it has not changed), returning its
+// contents and ETag.
 
-function getRandom(minimum: number, maximum: number) {
-    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
+async function downloadPdf(url: string) {
+    let response = await fetchUrl(url);
+    if (response.isNotModified)
+        console.log(`The document has not changed since it was cached: ${url}`);
+    return { buffer: response.body, etag: response.etag };
 }
 
-// Pauses for the specified number of milliseconds.
+// Parses a ratio (between zero and one) from an environment variable, using the specified default
+// if the variable is not set or is invalid.
 
-function sleep(milliseconds) {
-    return new Promise(resolve => setTimeout(resolve, milliseconds));
+function getRatio(text: string, defaultRatio: number) {
+    let ratio = Number(text);
+    return (text === undefined || text.trim() === "" || isNaN(ratio) || ratio < 0 || ratio > 1) ? defaultRatio : ratio;
 }
 
-// Parses the development applications.
-
-async function main() {
-    // Ensure that the database exists.
-
-    let database = await initializeDatabase();
-    
-    // Read the files containing all possible suburb names.
+// Reads the file containing all possible suburb names.
 
+function readSuburbNames() {
     SuburbNames = {};
-    for (let suburb of fs.readFileSync("suburbnames.txt").toString().replace(/\r/g, "").trim().split("\n"))
+    for (let suburb of fs.readFileSync(path.join(__dirname, "suburbnames.txt")).toString().replace(/\r/g, "").trim().split("\n"))
         SuburbNames[suburb.split(",")[0]] = suburb.split(",")[1];
+}
 
-    // Retrieve the page that contains the links to the PDFs.
+// Reads the file containing street type abbreviations.
 
-    console.log(`Retrieving page: ${DevelopmentApplicationsUrl}`);
+function readStreetTypes() {
+    StreetTypes = {};
+    for (let streetType of fs.readFileSync(path.join(__dirname, "streettypes.txt")).toString().replace(/\r/g, "").trim().split("\n"))
+        StreetTypes[streetType.split(",")[0]] = streetType.split(",")[1];
+}
 
-    let body = await request({ url: DevelopmentApplicationsUrl, proxy: process.env.MORPH_PROXY });
-    let $ = cheerio.load(body);
-    await sleep(2000 + getRandom(0, 5) * 1000);
+// Finds the URLs of the PDFs linked from the development application register page (in the order
+// that they are listed, which is most recent first).
 
+function getPdfUrls(body: string) {
+    let $ = cheerio.load(body);
     let pdfUrls: string[] = [];
     for (let element of $("h3.generic-list__title a[href$='.pdf']").get()) {
         let pdfUrl = new urlparser.URL(element.attribs.href, DevelopmentApplicationsUrl).href;
@@ -264,37 +1054,288 @@ async function main() {
             if (!pdfUrls.some(url => url === pdfUrl))  // avoid duplicates
                 pdfUrls.push(pdfUrl);
     }
+    return pdfUrls;
+}
+
+// The command line options.  These are used when running against local files (instead of the
+// council web site) or when listing the changes made by a previous run.
+
+interface Options {
+    pdfPaths: string[],
+    registerPath: string,
+    outputPath: string,
+    expectedPath: string,
+    changesRunId: string,
+    isMigrationDryRun: boolean
+}
+
+// Parses the command line arguments.  Any arguments other than the named options are treated as
+// local PDF files (or directories of PDF files) to be parsed offline.  For example,
+//
+//     node scraper.js --register register.html --output applications.json pdfs/
+//     node scraper.js --changes latest
+//     node scraper.js --migrate-dry-run
+//
+// The web site is scraped if no local PDF files (and no run to list changes for) are specified.
+
+function parseArguments(args: string[]) {
+    let options: Options = { pdfPaths: [], registerPath: undefined, outputPath: "applications.json", expectedPath: undefined, changesRunId: undefined, isMigrationDryRun: false };
+    for (let index = 0; index < args.length; index++) {
+        if (args[index] === "--migrate-dry-run")
+            options.isMigrationDryRun = true;
+        else if (args[index] === "--changes")
+            options.changesRunId = (index + 1 < args.length && !args[index + 1].startsWith("--")) ? args[++index] : "latest";
+        else if (args[index] === "--register" && index + 1 < args.length)
+            options.registerPath = args[++index];
+        else if (args[index] === "--output" && index + 1 < args.length)
+            options.outputPath = args[++index];
+        else if (args[index] === "--expected" && index + 1 < args.length)
+            options.expectedPath = args[++index];
+        else if (args[index].startsWith("--"))
+            throw new Error(`Unrecognised or incomplete command line option: ${args[index]}`);
+        else
+            options.pdfPaths.push(args[index]);
+    }
+    return options;
+}
+
+// Expands any directories in the specified paths to the PDF files that they contain.
+
+function findPdfFiles(pdfPaths: string[]) {
+    let pdfFiles: string[] = [];
+    for (let pdfPath of pdfPaths) {
+        if (fs.statSync(pdfPath).isDirectory()) {
+            for (let fileName of fs.readdirSync(pdfPath).sort())
+                if (fileName.toLowerCase().endsWith(".pdf"))
+                    pdfFiles.push(path.join(pdfPath, fileName));
+        } else {
+            pdfFiles.push(pdfPath);
+        }
+    }
+    return pdfFiles;
+}
+
+// Compares parsed development applications with previously saved (expected) output, returning a
+// description of each difference found.  The scrape date is excluded from the output so that the
+// comparison does not depend on the day that it is run.
+
+function compareOutput(actual: { file: string, applications: any[] }[], expected: { file: string, applications: any[] }[]) {
+    let differences: string[] = [];
+    for (let expectedDocument of expected) {
+        let actualDocument = actual.find(document => document.file === expectedDocument.file);
+        if (actualDocument === undefined) {
+            differences.push(`Document ${expectedDocument.file} was not parsed.`);
+            continue;
+        }
+        for (let index = 0; index < Math.max(expectedDocument.applications.length, actualDocument.applications.length); index++) {
+            let expectedApplication = expectedDocument.applications[index] || {};
+            let actualApplication = actualDocument.applications[index] || {};
+            for (let field of Object.keys(Object.assign({}, expectedApplication, actualApplication)))
+                if (actualApplication[field] !== expectedApplication[field])
+                    differences.push(`Document ${expectedDocument.file}, application ${index + 1}, field "${field}": expected ${JSON.stringify(expectedApplication[field])} but found ${JSON.stringify(actualApplication[field])}.`);
+        }
+    }
+    for (let actualDocument of actual)
+        if (!expected.some(document => document.file === actualDocument.file))
+            differences.push(`Document ${actualDocument.file} has no expected output.`);
+    return differences;
+}
+
+// Parses local PDF files (optionally using a saved copy of the register page to determine the URL
+// of each PDF) and writes the development applications to a JSON file instead of the database.
+
+async function parseOffline(options: Options) {
+    let pdfUrls = (options.registerPath === undefined) ? [] : getPdfUrls(fs.readFileSync(options.registerPath).toString());
+
+    let output: { file: string, applications: any[] }[] = [];
+    for (let pdfFile of findPdfFiles(options.pdfPaths)) {
+        let fileName = path.basename(pdfFile);
+        let pdfUrl = pdfUrls.find(url => decodeURIComponent(path.posix.basename(new urlparser.URL(url).pathname)).toLowerCase() === fileName.toLowerCase());
+        if (pdfUrl === undefined)
+            pdfUrl = fileName;  // fall back to the file name when the register page does not list the PDF
+
+        console.log(`Parsing file: ${pdfFile}`);
+        Diagnostics.documentsSelected++;
+        let developmentApplications = await parsePdf(pdfUrl, fs.readFileSync(pdfFile));
+        console.log(`Parsed ${developmentApplications.length} development application(s) from file: ${pdfFile}`);
+        Diagnostics.documentsFetched++;
+        Diagnostics.applicationsSaved += developmentApplications.length;
+
+        for (let developmentApplication of developmentApplications)
+            delete developmentApplication.scrapeDate;
+        output.push({ file: fileName, applications: developmentApplications });
+
+        if (global.gc)
+            global.gc();
+    }
+
+    fs.writeFileSync(options.outputPath, JSON.stringify(output, null, 4) + "\n");
+    writeUnresolvedSuburbs();
+    console.log(`Wrote ${output.reduce((count, document) => count + document.applications.length, 0)} development application(s) to: ${options.outputPath}`);
+
+    // Report any differences from the expected output (so that changes to the extraction logic
+    // can be checked against previously verified results).
+
+    if (options.expectedPath !== undefined) {
+        let differences = compareOutput(output, JSON.parse(fs.readFileSync(options.expectedPath).toString()));
+        for (let difference of differences)
+            console.log(difference);
+        if (differences.length > 0) {
+            console.log(`Found ${differences.length} difference(s) from the expected output in: ${options.expectedPath}`);
+            process.exitCode = 1;
+        } else {
+            console.log(`The output matches the expected output in: ${options.expectedPath}`);
+        }
+    }
+
+    await finishRun(undefined);
+}
+
+// Retrieves the page that contains the links to the PDFs, records any PDFs that have not been seen
+// before and then retrieves and parses the PDFs (in order, up to the budget for the run), saving
+// the development applications to the database.
+
+async function scrapeDocuments(database) {
+    // Retrieve the page that contains the links to the PDFs.
+
+    console.log(`Retrieving page: ${DevelopmentApplicationsUrl}`);
+
+    let body = (await fetchUrl(DevelopmentApplicationsUrl)).body.toString();
+    let pdfUrls = getPdfUrls(body);
 
     if (pdfUrls.length === 0) {
         console.log("No PDF URLs were found on the page.");
+        Diagnostics.thresholdsExceeded.push(`No PDF URLs were found on the page: ${DevelopmentApplicationsUrl}`);  // most likely the page layout has changed
         return;
     }
 
-    // Select the most recent PDF.  And randomly select one other PDF (avoid processing all PDFs
-    // at once because this may use too much memory, resulting in morph.io terminating the current
-    // process).
+    // Record any PDFs that have not been seen before.
+
+    let documents = await getDocuments(database);
+    for (let pdfUrl of pdfUrls) {
+        if (documents[pdfUrl] === undefined) {
+            documents[pdfUrl] = { url: pdfUrl, firstSeenDate: moment().format("YYYY-MM-DD"), contentHash: "", etag: "", checkedDate: "", parsedDate: "", applicationCount: 0, status: DocumentStatus.Pending };
+            await saveDocument(database, documents[pdfUrl]);
+        }
+    }
 
-    let selectedPdfUrls: string[] = [];
-    selectedPdfUrls.push(pdfUrls.shift());
-    if (pdfUrls.length > 0)
-        selectedPdfUrls.push(pdfUrls[getRandom(0, pdfUrls.length)]);
-    if (getRandom(0, 2) === 0)
-        selectedPdfUrls.reverse();
+    // Work through the PDFs in order, stopping once the budget for this run is used up (the next
+    // run then continues from where this run stopped).
+
+    let selectedPdfUrls = orderDocuments(pdfUrls, documents).slice(0, DocumentBudget);
+    console.log(`Selected ${selectedPdfUrls.length} of ${pdfUrls.length} document(s) to check in this run.`);
+    Diagnostics.documentsSelected = selectedPdfUrls.length;
 
     for (let pdfUrl of selectedPdfUrls) {
-        console.log(`Parsing document: ${pdfUrl}`);
-        let developmentApplications = await parsePdf(pdfUrl);
-        console.log(`Parsed ${developmentApplications.length} development application(s) from document: ${pdfUrl}`);
+        let document = documents[pdfUrl];
+        try {
+            console.log(`Retrieving document: ${pdfUrl}`);
+            let { buffer, etag } = await downloadPdf(pdfUrl);
+            Diagnostics.documentsFetched++;
+            let contentHash = crypto.createHash("sha256").update(buffer).digest("hex");
+            document.checkedDate = moment().format("YYYY-MM-DD HH:mm:ss");
+            document.etag = etag;
+
+            // Avoid parsing the PDF again if its content has not changed since it was last parsed.
+
+            if (document.status === DocumentStatus.Parsed && document.contentHash === contentHash && !ForceReparse) {
+                console.log(`Skipping unchanged document: ${pdfUrl}`);
+                Diagnostics.documentsUnchanged++;
+                await saveDocument(database, document);
+                continue;
+            }
 
-        // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the
-        // current process being terminated by morph.io).
+            // Record that parsing has started so that an interrupted run results in the document
+            // being parsed again in the next run.
 
-        if (global.gc)
-            global.gc();
+            document.contentHash = contentHash;
+            document.status = DocumentStatus.Parsing;
+            await saveDocument(database, document);
 
-        for (let developmentApplication of developmentApplications)
-            await insertRow(database, developmentApplication);
+            console.log(`Parsing document: ${pdfUrl}`);
+            let developmentApplications = await parsePdf(pdfUrl, buffer);
+            console.log(`Parsed ${developmentApplications.length} development application(s) from document: ${pdfUrl}`);
+
+            // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the
+            // current process being terminated by morph.io).
+
+            buffer = null;
+            if (global.gc)
+                global.gc();
+
+            for (let developmentApplication of developmentApplications) {
+                await insertRow(database, developmentApplication);
+                Diagnostics.applicationsSaved++;
+            }
+
+            document.parsedDate = moment().format("YYYY-MM-DD HH:mm:ss");
+            document.applicationCount = developmentApplications.length;
+            document.status = DocumentStatus.Parsed;
+            await saveDocument(database, document);
+        } catch (error) {
+            console.error(`Failed to process document: ${pdfUrl}`);
+            console.error(error);
+            document.status = DocumentStatus.Failed;
+            Diagnostics.documentsFailed.push(pdfUrl);
+            await saveDocument(database, document);
+        }
+    }
+}
+
+// Parses the development applications.
+
+async function main() {
+    // Read the files containing all possible suburb names, street type abbreviations and the
+    // fields to extract.
+
+    readSuburbNames();
+    readStreetTypes();
+    readFieldDefinitions();
+
+    // Parse local PDF files instead of the web site if any were specified on the command line.
+
+    let options = parseArguments(process.argv.slice(2));
+    if (options.changesRunId === undefined && !options.isMigrationDryRun && options.pdfPaths.length > 0) {
+        await parseOffline(options);
+        return;
     }
+
+    // Report the changes that would be made to the database schema if requested on the command
+    // line (without changing the database).
+
+    if (options.isMigrationDryRun) {
+        await initializeDatabase(true);
+        return;
+    }
+
+    // Ensure that the database exists (and has an up to date schema).
+
+    let database = await initializeDatabase();
+
+    // List the changes made by a previous run if requested on the command line.
+
+    if (options.changesRunId !== undefined) {
+        await listChanges(database, options.changesRunId);
+        return;
+    }
+
+    // Retrieve and parse the PDFs.  If the run fails part way through (for example, because the
+    // page that contains the links to the PDFs could not be retrieved) the failure is still
+    // recorded in the diagnostics for the run.
+
+    try {
+        await scrapeDocuments(database);
+    } catch (error) {
+        Diagnostics.thresholdsExceeded.push(`The run failed: ${(error instanceof Error) ? error.message : error}`);
+        writeUnresolvedSuburbs();
+        await finishRun(database);
+        throw error;
+    }
+
+    // Record any suburb names that could not be resolved and the diagnostics for the run.
+
+    writeUnresolvedSuburbs();
+    await finishRun(database);
 }
 
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
+main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });
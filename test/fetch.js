@@ -0,0 +1,98 @@
+// Tests the retries, caching and conditional requests of fetch.ts against a local web server.  For
+// example,
+//
+//     node test/fetch.js
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const assert = require("assert");
+const http = require("http");
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const fetch_1 = require("../fetch");
+// The responses that the local web server gives for each path (in order, repeating the last
+// response once the others have been used up) and the requests that it has received.
+let Responses = {};
+let ReceivedRequests = [];
+// Starts a local web server on a free port.
+function startServer() {
+    let server = http.createServer((request, response) => {
+        ReceivedRequests.push({ url: request.url, headers: request.headers });
+        let pathResponses = Responses[request.url] || [{ statusCode: 404 }];
+        let pathResponse = (pathResponses.length > 1) ? pathResponses.shift() : pathResponses[0];
+        response.writeHead(pathResponse.statusCode, pathResponse.headers || {});
+        response.end(pathResponse.body || "");
+    });
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+// Deletes the specified directory and everything in it.
+function removeDirectory(directory) {
+    if (!fs.existsSync(directory))
+        return;
+    for (let name of fs.readdirSync(directory)) {
+        let childPath = path.join(directory, name);
+        if (fs.statSync(childPath).isDirectory())
+            removeDirectory(childPath);
+        else
+            fs.unlinkSync(childPath);
+    }
+    fs.rmdirSync(directory);
+}
+// Gets the requests received by the local web server for the specified path.
+function getReceivedRequests(url) {
+    return ReceivedRequests.filter(receivedRequest => receivedRequest.url === url);
+}
+// Runs each test.
+async function main() {
+    let testDirectory = path.join(os.tmpdir(), `fetch-test-${process.pid}`);
+    let options = {
+        proxy: undefined,
+        cacheDirectory: path.join(testDirectory, "nested", "cache"),
+        maximumRetries: 3,
+        initialRetryDelay: 10,
+        politenessDelay: 0
+    };
+    let server = await startServer();
+    let baseUrl = `http://127.0.0.1:${server.address().port}`;
+    try {
+        // A 503 response is retried until the request succeeds.
+        Responses["/overloaded"] = [{ statusCode: 503 }, { statusCode: 503 }, { statusCode: 200, body: "recovered" }];
+        let response = await fetch_1.fetchUrl(`${baseUrl}/overloaded`, options);
+        assert.strictEqual(response.body.toString(), "recovered");
+        assert.strictEqual(response.isNotModified, false);
+        assert.strictEqual(getReceivedRequests("/overloaded").length, 3);
+        console.log("Passed: a 503 response is retried until the request succeeds.");
+        // A cached response results in If-None-Match and If-Modified-Since being sent and a 304
+        // response is served from the cache.
+        let lastModified = "Wed, 01 Aug 2018 00:00:00 GMT";
+        Responses["/register.pdf"] = [
+            { statusCode: 200, headers: { "ETag": "\"abc123\"", "Last-Modified": lastModified }, body: "original content" },
+            { statusCode: 304 }
+        ];
+        response = await fetch_1.fetchUrl(`${baseUrl}/register.pdf`, options);
+        assert.strictEqual(response.body.toString(), "original content");
+        assert.strictEqual(response.etag, "\"abc123\"");
+        assert.strictEqual(response.isNotModified, false);
+        assert.strictEqual(getReceivedRequests("/register.pdf")[0].headers["if-none-match"], undefined);
+        response = await fetch_1.fetchUrl(`${baseUrl}/register.pdf`, options);
+        let conditionalRequest = getReceivedRequests("/register.pdf")[1];
+        assert.strictEqual(conditionalRequest.headers["if-none-match"], "\"abc123\"");
+        assert.strictEqual(conditionalRequest.headers["if-modified-since"], lastModified);
+        console.log("Passed: If-None-Match and If-Modified-Since are sent for a cached response.");
+        assert.strictEqual(response.body.toString(), "original content");
+        assert.strictEqual(response.isNotModified, true);
+        assert.strictEqual(getReceivedRequests("/register.pdf").length, 2);
+        console.log("Passed: a 304 response is served from the cache.");
+        // A 404 response is not retried.
+        Responses["/missing.pdf"] = [{ statusCode: 404 }, { statusCode: 200, body: "unexpected" }];
+        await assert.rejects(fetch_1.fetchUrl(`${baseUrl}/missing.pdf`, options), /status code 404/);
+        assert.strictEqual(getReceivedRequests("/missing.pdf").length, 1);
+        console.log("Passed: a 404 response is not retried.");
+    }
+    finally {
+        server.close();
+        removeDirectory(testDirectory);
+    }
+}
+main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmV0Y2guanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJmZXRjaC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxtR0FBbUc7QUFDbkcsV0FBVztBQUNYLEVBQUU7QUFDRix5QkFBeUI7QUFFekIsWUFBWSxDQUFDOztBQUViLGlDQUFpQztBQUNqQyw2QkFBNkI7QUFFN0IsNkJBQTZCO0FBQzdCLHlCQUF5QjtBQUN6Qix5QkFBeUI7QUFDekIsb0NBQWtEO0FBU2xELDRGQUE0RjtBQUM1RixxRkFBcUY7QUFFckYsSUFBSSxTQUFTLEdBQW9HLEVBQUUsQ0FBQztBQUNwSCxJQUFJLGdCQUFnQixHQUFzQixFQUFFLENBQUM7QUFFN0MsNENBQTRDO0FBRTVDLFNBQVMsV0FBVztJQUNoQixJQUFJLE1BQU0sR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsT0FBTyxFQUFFLFFBQVEsRUFBRSxFQUFFO1FBQ2pELGdCQUFnQixDQUFDLElBQUksQ0FBQyxFQUFFLEdBQUcsRUFBRSxPQUFPLENBQUMsR0FBRyxFQUFFLE9BQU8sRUFBRSxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUN0RSxJQUFJLGFBQWEsR0FBRyxTQUFTLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUUsRUFBRSxVQUFVLEVBQUUsR0FBRyxFQUFFLENBQUUsQ0FBQztRQUN0RSxJQUFJLFlBQVksR0FBRyxDQUFDLGFBQWEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3pGLFFBQVEsQ0FBQyxTQUFTLENBQUMsWUFBWSxDQUFDLFVBQVUsRUFBRSxZQUFZLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQ3hFLFFBQVEsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLElBQUksSUFBSSxFQUFFLENBQUMsQ0FBQztJQUMxQyxDQUFDLENBQUMsQ0FBQztJQUNILE9BQU8sSUFBSSxPQUFPLENBQWMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxXQUFXLEVBQUUsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUNyRyxDQUFDO0FBRUQsd0RBQXdEO0FBRXhELFNBQVMsZUFBZSxDQUFDLFNBQWlCO0lBQ3RDLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQztRQUN6QixPQUFPO0lBQ1gsS0FBSyxJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxDQUFDLFNBQVMsQ0FBQyxFQUFFO1FBQ3hDLElBQUksU0FBUyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxDQUFDO1FBQzNDLElBQUksRUFBRSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsQ0FBQyxXQUFXLEVBQUU7WUFDcEMsZUFBZSxDQUFDLFNBQVMsQ0FBQyxDQUFDOztZQUUzQixFQUFFLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0tBQ2hDO0lBQ0QsRUFBRSxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQztBQUM1QixDQUFDO0FBRUQsNkVBQTZFO0FBRTdFLFNBQVMsbUJBQW1CLENBQUMsR0FBVztJQUNwQyxPQUFPLGdCQUFnQixDQUFDLE1BQU0sQ0FBQyxlQUFlLENBQUMsRUFBRSxDQUFDLGVBQWUsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLENBQUM7QUFDbkYsQ0FBQztBQUVELGtCQUFrQjtBQUVsQixLQUFLLFVBQVUsSUFBSTtJQUNmLElBQUksYUFBYSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxFQUFFLGNBQWMsT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUM7SUFDeEUsSUFBSSxPQUFPLEdBQWlCO1FBQ3hCLEtBQUssRUFBRSxTQUFTO1FBQ2hCLGNBQWMsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUFDLGFBQWEsRUFBRSxRQUFRLEVBQUUsT0FBTyxDQUFDO1FBQzNELGNBQWMsRUFBRSxDQUFDO1FBQ2pCLGlCQUFpQixFQUFFLEVBQUU7UUFDckIsZUFBZSxFQUFFLENBQUM7S0FDckIsQ0FBQztJQUVGLElBQUksTUFBTSxHQUFHLE1BQU0sV0FBVyxFQUFFLENBQUM7SUFDakMsSUFBSSxPQUFPLEdBQUcsb0JBQXFCLE1BQU0sQ0FBQyxPQUFPLEVBQXNCLENBQUMsSUFBSSxFQUFFLENBQUM7SUFFL0UsSUFBSTtRQUNBLHdEQUF3RDtRQUV4RCxTQUFTLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBRSxFQUFFLFVBQVUsRUFBRSxHQUFHLEVBQUUsRUFBRSxFQUFFLFVBQVUsRUFBRSxHQUFHLEVBQUUsRUFBRSxFQUFFLFVBQVUsRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLFdBQVcsRUFBRSxDQUFFLENBQUM7UUFDaEgsSUFBSSxRQUFRLEdBQUcsTUFBTSxnQkFBUSxDQUFDLEdBQUcsT0FBTyxhQUFhLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDaEUsTUFBTSxDQUFDLFdBQVcsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxFQUFFLFdBQVcsQ0FBQyxDQUFDO1FBQzFELE1BQU0sQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLGFBQWEsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUNsRCxNQUFNLENBQUMsV0FBVyxDQUFDLG1CQUFtQixDQUFDLGFBQWEsQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQztRQUNqRSxPQUFPLENBQUMsR0FBRyxDQUFDLCtEQUErRCxDQUFDLENBQUM7UUFFN0Usd0ZBQXdGO1FBQ3hGLHFDQUFxQztRQUVyQyxJQUFJLFlBQVksR0FBRywrQkFBK0IsQ0FBQztRQUNuRCxTQUFTLENBQUMsZUFBZSxDQUFDLEdBQUc7WUFDekIsRUFBRSxVQUFVLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxFQUFFLE1BQU0sRUFBRSxZQUFZLEVBQUUsZUFBZSxFQUFFLFlBQVksRUFBRSxFQUFFLElBQUksRUFBRSxrQkFBa0IsRUFBRTtZQUMvRyxFQUFFLFVBQVUsRUFBRSxHQUFHLEVBQUU7U0FDdEIsQ0FBQztRQUNGLFFBQVEsR0FBRyxNQUFNLGdCQUFRLENBQUMsR0FBRyxPQUFPLGVBQWUsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUM5RCxNQUFNLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLEVBQUUsa0JBQWtCLENBQUMsQ0FBQztRQUNqRSxNQUFNLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLEVBQUUsWUFBWSxDQUFDLENBQUM7UUFDaEQsTUFBTSxDQUFDLFdBQVcsQ0FBQyxRQUFRLENBQUMsYUFBYSxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQ2xELE1BQU0sQ0FBQyxXQUFXLENBQUMsbUJBQW1CLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBRWhHLFFBQVEsR0FBRyxNQUFNLGdCQUFRLENBQUMsR0FBRyxPQUFPLGVBQWUsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUM5RCxJQUFJLGtCQUFrQixHQUFHLG1CQUFtQixDQUFDLGVBQWUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2pFLE1BQU0sQ0FBQyxXQUFXLENBQUMsa0JBQWtCLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQyxFQUFFLFlBQVksQ0FBQyxDQUFDO1FBQzlFLE1BQU0sQ0FBQyxXQUFXLENBQUMsa0JBQWtCLENBQUMsT0FBTyxDQUFDLG1CQUFtQixDQUFDLEVBQUUsWUFBWSxDQUFDLENBQUM7UUFDbEYsT0FBTyxDQUFDLEdBQUcsQ0FBQyw2RUFBNkUsQ0FBQyxDQUFDO1FBRTNGLE1BQU0sQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsRUFBRSxrQkFBa0IsQ0FBQyxDQUFDO1FBQ2pFLE1BQU0sQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLGFBQWEsRUFBRSxJQUFJLENBQUMsQ0FBQztRQUNqRCxNQUFNLENBQUMsV0FBVyxDQUFDLG1CQUFtQixDQUFDLGVBQWUsQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQztRQUNuRSxPQUFPLENBQUMsR0FBRyxDQUFDLGtEQUFrRCxDQUFDLENBQUM7UUFFaEUsaUNBQWlDO1FBRWpDLFNBQVMsQ0FBQyxjQUFjLENBQUMsR0FBRyxDQUFFLEVBQUUsVUFBVSxFQUFFLEdBQUcsRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsWUFBWSxFQUFFLENBQUUsQ0FBQztRQUM3RixNQUFNLE1BQU0sQ0FBQyxPQUFPLENBQUMsZ0JBQVEsQ0FBQyxHQUFHLE9BQU8sY0FBYyxFQUFFLE9BQU8sQ0FBQyxFQUFFLGlCQUFpQixDQUFDLENBQUM7UUFDckYsTUFBTSxDQUFDLFdBQVcsQ0FBQyxtQkFBbUIsQ0FBQyxjQUFjLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDbEUsT0FBTyxDQUFDLEdBQUcsQ0FBQyx3Q0FBd0MsQ0FBQyxDQUFDO0tBQ3pEO1lBQVM7UUFDTixNQUFNLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDZixlQUFlLENBQUMsYUFBYSxDQUFDLENBQUM7S0FDbEM7QUFDTCxDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyJ9
\ No newline at end of file
@@ -0,0 +1,125 @@
+// Tests the retries, caching and conditional requests of fetch.ts against a local web server.  For
+// example,
+//
+//     node test/fetch.js
+
+"use strict";
+
+import * as assert from "assert";
+import * as http from "http";
+import * as net from "net";
+import * as path from "path";
+import * as os from "os";
+import * as fs from "fs";
+import { fetchUrl, FetchOptions } from "../fetch";
+
+// A request received by the local web server.
+
+interface ReceivedRequest {
+    url: string,
+    headers: http.IncomingHttpHeaders
+}
+
+// The responses that the local web server gives for each path (in order, repeating the last
+// response once the others have been used up) and the requests that it has received.
+
+let Responses: { [path: string]: { statusCode: number, headers?: http.OutgoingHttpHeaders, body?: string }[] } = {};
+let ReceivedRequests: ReceivedRequest[] = [];
+
+// Starts a local web server on a free port.
+
+function startServer() {
+    let server = http.createServer((request, response) => {
+        ReceivedRequests.push({ url: request.url, headers: request.headers });
+        let pathResponses = Responses[request.url] || [ { statusCode: 404 } ];
+        let pathResponse = (pathResponses.length > 1) ? pathResponses.shift() : pathResponses[0];
+        response.writeHead(pathResponse.statusCode, pathResponse.headers || {});
+        response.end(pathResponse.body || "");
+    });
+    return new Promise<http.Server>(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+// Deletes the specified directory and everything in it.
+
+function removeDirectory(directory: string) {
+    if (!fs.existsSync(directory))
+        return;
+    for (let name of fs.readdirSync(directory)) {
+        let childPath = path.join(directory, name);
+        if (fs.statSync(childPath).isDirectory())
+            removeDirectory(childPath);
+        else
+            fs.unlinkSync(childPath);
+    }
+    fs.rmdirSync(directory);
+}
+
+// Gets the requests received by the local web server for the specified path.
+
+function getReceivedRequests(url: string) {
+    return ReceivedRequests.filter(receivedRequest => receivedRequest.url === url);
+}
+
+// Runs each test.
+
+async function main() {
+    let testDirectory = path.join(os.tmpdir(), `fetch-test-${process.pid}`);
+    let options: FetchOptions = {
+        proxy: undefined,
+        cacheDirectory: path.join(testDirectory, "nested", "cache"),  // checks that each parent directory is created
+        maximumRetries: 3,
+        initialRetryDelay: 10,
+        politenessDelay: 0
+    };
+
+    let server = await startServer();
+    let baseUrl = `http://127.0.0.1:${(server.address() as net.AddressInfo).port}`;
+
+    try {
+        // A 503 response is retried until the request succeeds.
+
+        Responses["/overloaded"] = [ { statusCode: 503 }, { statusCode: 503 }, { statusCode: 200, body: "recovered" } ];
+        let response = await fetchUrl(`${baseUrl}/overloaded`, options);
+        assert.strictEqual(response.body.toString(), "recovered");
+        assert.strictEqual(response.isNotModified, false);
+        assert.strictEqual(getReceivedRequests("/overloaded").length, 3);
+        console.log("Passed: a 503 response is retried until the request succeeds.");
+
+        // A cached response results in If-None-Match and If-Modified-Since being sent and a 304
+        // response is served from the cache.
+
+        let lastModified = "Wed, 01 Aug 2018 00:00:00 GMT";
+        Responses["/register.pdf"] = [
+            { statusCode: 200, headers: { "ETag": "\"abc123\"", "Last-Modified": lastModified }, body: "original content" },
+            { statusCode: 304 }
+        ];
+        response = await fetchUrl(`${baseUrl}/register.pdf`, options);
+        assert.strictEqual(response.body.toString(), "original content");
+        assert.strictEqual(response.etag, "\"abc123\"");
+        assert.strictEqual(response.isNotModified, false);
+        assert.strictEqual(getReceivedRequests("/register.pdf")[0].headers["if-none-match"], undefined);
+
+        response = await fetchUrl(`${baseUrl}/register.pdf`, options);
+        let conditionalRequest = getReceivedRequests("/register.pdf")[1];
+        assert.strictEqual(conditionalRequest.headers["if-none-match"], "\"abc123\"");
+        assert.strictEqual(conditionalRequest.headers["if-modified-since"], lastModified);
+        console.log("Passed: If-None-Match and If-Modified-Since are sent for a cached response.");
+
+        assert.strictEqual(response.body.toString(), "original content");
+        assert.strictEqual(response.isNotModified, true);
+        assert.strictEqual(getReceivedRequests("/register.pdf").length, 2);
+        console.log("Passed: a 304 response is served from the cache.");
+
+        // A 404 response is not retried.
+
+        Responses["/missing.pdf"] = [ { statusCode: 404 }, { statusCode: 200, body: "unexpected" } ];
+        await assert.rejects(fetchUrl(`${baseUrl}/missing.pdf`, options), /status code 404/);
+        assert.strictEqual(getReceivedRequests("/missing.pdf").length, 1);
+        console.log("Passed: a 404 response is not retried.");
+    } finally {
+        server.close();
+        removeDirectory(testDirectory);
+    }
+}
+
+main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });